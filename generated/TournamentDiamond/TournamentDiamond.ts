@@ -36,6 +36,40 @@ export class PlayerWonTournament__Params {
   }
 }
 
+export class MatchCompleted extends ethereum.Event {
+  get params(): MatchCompleted__Params {
+    return new MatchCompleted__Params(this);
+  }
+}
+
+export class MatchCompleted__Params {
+  _event: MatchCompleted;
+
+  constructor(event: MatchCompleted) {
+    this._event = event;
+  }
+
+  get tournamentId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get playerA(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get playerB(): Address {
+    return this._event.parameters[2].value.toAddress();
+  }
+
+  get resultCode(): BigInt {
+    return this._event.parameters[3].value.toBigInt();
+  }
+
+  get winner(): Address {
+    return this._event.parameters[4].value.toAddress();
+  }
+}
+
 export class TournamentDiamond extends ethereum.SmartContract {
   static bind(address: Address): TournamentDiamond {
     return new TournamentDiamond("TournamentDiamond", address);
@@ -188,3 +188,445 @@ export class TournamentWin extends Entity {
     this.set("blockNumber", Value.fromBigInt(value));
   }
 }
+
+export class Tournament extends Entity {
+  constructor(id: string) {
+    super();
+    this.set("id", Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get("id");
+    assert(id != null, "Cannot save Tournament entity without an ID");
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type Tournament must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`,
+      );
+      store.set("Tournament", id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): Tournament | null {
+    return changetype<Tournament | null>(store.get_in_block("Tournament", id));
+  }
+
+  static load(id: string): Tournament | null {
+    return changetype<Tournament | null>(store.get("Tournament", id));
+  }
+
+  get id(): string {
+    let value = this.get("id");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set("id", Value.fromString(value));
+  }
+
+  get tournamentId(): BigInt {
+    let value = this.get("tournamentId");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set tournamentId(value: BigInt) {
+    this.set("tournamentId", Value.fromBigInt(value));
+  }
+
+  get matchCount(): i32 {
+    let value = this.get("matchCount");
+    if (!value || value.kind == ValueKind.NULL) {
+      return 0;
+    } else {
+      return value.toI32();
+    }
+  }
+
+  set matchCount(value: i32) {
+    this.set("matchCount", Value.fromI32(value));
+  }
+
+  get entrants(): Array<string> {
+    let value = this.get("entrants");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toStringArray();
+    }
+  }
+
+  set entrants(value: Array<string>) {
+    this.set("entrants", Value.fromStringArray(value));
+  }
+
+  get losers(): Array<string> {
+    let value = this.get("losers");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toStringArray();
+    }
+  }
+
+  set losers(value: Array<string>) {
+    this.set("losers", Value.fromStringArray(value));
+  }
+
+  get maxSlot(): i32 {
+    let value = this.get("maxSlot");
+    if (!value || value.kind == ValueKind.NULL) {
+      return 0;
+    } else {
+      return value.toI32();
+    }
+  }
+
+  set maxSlot(value: i32) {
+    this.set("maxSlot", Value.fromI32(value));
+  }
+
+  get capacity(): i32 {
+    let value = this.get("capacity");
+    if (!value || value.kind == ValueKind.NULL) {
+      return 0;
+    } else {
+      return value.toI32();
+    }
+  }
+
+  set capacity(value: i32) {
+    this.set("capacity", Value.fromI32(value));
+  }
+
+  get winner(): string | null {
+    let value = this.get("winner");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toString();
+    }
+  }
+
+  set winner(value: string | null) {
+    if (!value) {
+      this.unset("winner");
+    } else {
+      this.set("winner", Value.fromString(<string>value));
+    }
+  }
+
+  get runnerUp(): string | null {
+    let value = this.get("runnerUp");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toString();
+    }
+  }
+
+  set runnerUp(value: string | null) {
+    if (!value) {
+      this.unset("runnerUp");
+    } else {
+      this.set("runnerUp", Value.fromString(<string>value));
+    }
+  }
+
+  get finalMatch(): string | null {
+    let value = this.get("finalMatch");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toString();
+    }
+  }
+
+  set finalMatch(value: string | null) {
+    if (!value) {
+      this.unset("finalMatch");
+    } else {
+      this.set("finalMatch", Value.fromString(<string>value));
+    }
+  }
+
+  get firstMatchBlock(): BigInt {
+    let value = this.get("firstMatchBlock");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set firstMatchBlock(value: BigInt) {
+    this.set("firstMatchBlock", Value.fromBigInt(value));
+  }
+
+  get lastMatchBlock(): BigInt {
+    let value = this.get("lastMatchBlock");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set lastMatchBlock(value: BigInt) {
+    this.set("lastMatchBlock", Value.fromBigInt(value));
+  }
+
+  get lastMatchTimestamp(): BigInt {
+    let value = this.get("lastMatchTimestamp");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set lastMatchTimestamp(value: BigInt) {
+    this.set("lastMatchTimestamp", Value.fromBigInt(value));
+  }
+
+  get completedAtBlock(): BigInt | null {
+    let value = this.get("completedAtBlock");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set completedAtBlock(value: BigInt | null) {
+    if (!value) {
+      this.unset("completedAtBlock");
+    } else {
+      this.set("completedAtBlock", Value.fromBigInt(<BigInt>value));
+    }
+  }
+
+  get completedAtTimestamp(): BigInt | null {
+    let value = this.get("completedAtTimestamp");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set completedAtTimestamp(value: BigInt | null) {
+    if (!value) {
+      this.unset("completedAtTimestamp");
+    } else {
+      this.set("completedAtTimestamp", Value.fromBigInt(<BigInt>value));
+    }
+  }
+
+  get matches(): MatchLoader {
+    return new MatchLoader(
+      "Tournament",
+      this.get("id")!.toString(),
+      "matches",
+    );
+  }
+}
+
+export class Match extends Entity {
+  constructor(id: string) {
+    super();
+    this.set("id", Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get("id");
+    assert(id != null, "Cannot save Match entity without an ID");
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type Match must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`,
+      );
+      store.set("Match", id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): Match | null {
+    return changetype<Match | null>(store.get_in_block("Match", id));
+  }
+
+  static load(id: string): Match | null {
+    return changetype<Match | null>(store.get("Match", id));
+  }
+
+  get id(): string {
+    let value = this.get("id");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set("id", Value.fromString(value));
+  }
+
+  get tournament(): string {
+    let value = this.get("tournament");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set tournament(value: string) {
+    this.set("tournament", Value.fromString(value));
+  }
+
+  get tournamentId(): BigInt {
+    let value = this.get("tournamentId");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set tournamentId(value: BigInt) {
+    this.set("tournamentId", Value.fromBigInt(value));
+  }
+
+  get playerA(): string {
+    let value = this.get("playerA");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set playerA(value: string) {
+    this.set("playerA", Value.fromString(value));
+  }
+
+  get playerB(): string {
+    let value = this.get("playerB");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set playerB(value: string) {
+    this.set("playerB", Value.fromString(value));
+  }
+
+  get resultCode(): BigInt {
+    let value = this.get("resultCode");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set resultCode(value: BigInt) {
+    this.set("resultCode", Value.fromBigInt(value));
+  }
+
+  get winner(): string | null {
+    let value = this.get("winner");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toString();
+    }
+  }
+
+  set winner(value: string | null) {
+    if (!value) {
+      this.unset("winner");
+    } else {
+      this.set("winner", Value.fromString(<string>value));
+    }
+  }
+
+  get blockNumber(): BigInt {
+    let value = this.get("blockNumber");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set blockNumber(value: BigInt) {
+    this.set("blockNumber", Value.fromBigInt(value));
+  }
+
+  get timestamp(): BigInt {
+    let value = this.get("timestamp");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set timestamp(value: BigInt) {
+    this.set("timestamp", Value.fromBigInt(value));
+  }
+
+  get txHash(): Bytes {
+    let value = this.get("txHash");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBytes();
+    }
+  }
+
+  set txHash(value: Bytes) {
+    this.set("txHash", Value.fromBytes(value));
+  }
+
+  get logIndex(): BigInt {
+    let value = this.get("logIndex");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set logIndex(value: BigInt) {
+    this.set("logIndex", Value.fromBigInt(value));
+  }
+}
+
+export class MatchLoader extends Entity {
+  _entity: string;
+  _field: string;
+  _id: string;
+
+  constructor(entity: string, id: string, field: string) {
+    super();
+    this._entity = entity;
+    this._id = id;
+    this._field = field;
+  }
+
+  load(): Match[] {
+    let value = store.loadRelated(this._entity, this._id, this._field);
+    return changetype<Match[]>(value);
+  }
+}
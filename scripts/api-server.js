@@ -0,0 +1,406 @@
+// scripts/api-server.js
+//
+// Small read-only JSON API over the generated public/*.json artifacts, so
+// clients can ask for one player / tournament / page instead of downloading
+// matches.json and votes.json whole.
+//
+// Endpoints (all GET, JSON, CORS open):
+//   /health
+//   /players/:wallet             wins, earnings, placements, finishing bands, match record, rating, votes cast, identity
+//                                + paginated matches (?page=&limit=)
+//   /tournaments/:id             result, bracket, tier range, matches, vote totals
+//   /leaderboard?from=&to=&tier= wins leaderboard for a time range (tier = 10 | 20 | all)
+//                                &view=identity sums linked wallets into one row per player
+//   /votes?tournament=&wallet=   vote rows, newest first
+//   /head-to-head/:a/:b          every meeting of two wallets (public/head-to-head.json), from a's side
+//   /live                        tournaments in progress (public/live.json, read on every request
+//                                since scripts/live-tournaments.js refreshes it between update-all runs)
+//
+// List endpoints take ?page= (1-based) and ?limit= (default 50, max 500) and
+// answer { page, limit, total, items }. from/to accept ISO dates or unix
+// seconds/milliseconds; `to` is exclusive.
+//
+// Data is reloaded when update-all.js finishes (it touches .cache/update-all.json),
+// or on SIGHUP.
+//
+// Usage:
+//   node scripts/api-server.js
+//
+// Env:
+//   API_PORT   (default 8787)
+//   API_HOST   (default 127.0.0.1)
+
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { groupByIdentity } from "./identities.js";
+import { loadRewardsSchedule, weeklyPayout } from "./rewards-schedule.js";
+
+const ROOT = process.cwd();
+const PUBLIC_DIR = path.join(ROOT, "public");
+const UPDATE_MARKER = path.join(ROOT, ".cache", "update-all.json");
+
+const PORT = Number(process.env.API_PORT || 8787);
+const HOST = process.env.API_HOST || "127.0.0.1";
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const VOTE_SCALE = 100; // votes.json amounts are centivotes
+
+function startOfUtcWeekMonday(ms) {
+  const d = new Date(ms);
+  const day = d.getUTCDay();
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + (day === 0 ? -6 : 1 - day));
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(PUBLIC_DIR, file), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function lower(x) {
+  return typeof x === "string" ? x.toLowerCase() : "";
+}
+
+// ---------- data ----------
+
+let data = null;
+
+function loadData() {
+  const started = Date.now();
+  const leaderboard = readJson("leaderboard.json");
+  const profiles = readJson("profiles.json");
+  const ranges = readJson("tournamentRanges.json");
+  const matchesDoc = readJson("matches.json");
+  const results = readJson("tournament-results.json");
+  const brackets = readJson("tournament-brackets.json");
+  const ratings = readJson("ratings.json");
+  const rivalries = readJson("rivalries.all.json");
+  const votes = readJson("votes.json");
+  const identities = readJson("identities.json");
+  const headToHead = readJson("head-to-head.json");
+
+  const wins = (Array.isArray(leaderboard?.wins) ? leaderboard.wins : [])
+    .map((w) => ({
+      wallet: lower(w.wallet),
+      tournamentId: String(w.tournamentId ?? ""),
+      timestamp: Number(w.timestamp),
+      tier: w.tier === 10 || w.tier === 20 ? w.tier : null,
+    }))
+    .filter((w) => w.wallet && Number.isFinite(w.timestamp));
+
+  const matches = (Array.isArray(matchesDoc?.matches) ? matchesDoc.matches : []).map((m) => ({
+    tournamentId: String(m.matchId ?? ""),
+    slot: m.resultCode,
+    playerA: lower(m.playerA),
+    playerB: lower(m.playerB),
+    winner: m.winner ? lower(m.winner) : null,
+    blockNumber: m.blockNumber ?? null,
+    txHash: m.txHash ?? null,
+    logIndex: m.logIndex ?? null,
+  }));
+
+  const index = (rows, keysOf) => {
+    const out = new Map();
+    for (const r of rows) {
+      for (const k of keysOf(r)) {
+        if (!k) continue;
+        if (!out.has(k)) out.set(k, []);
+        out.get(k).push(r);
+      }
+    }
+    return out;
+  };
+
+  const voteRows = (Array.isArray(votes) ? votes : [])
+    .map((v) => ({ ...v, voter: lower(v.voter), tournamentId: String(v.tournamentId ?? "") }))
+    .sort((a, b) => (Number(b.blockNumber) || 0) - (Number(a.blockNumber) || 0));
+
+  data = {
+    loadedAtUtc: new Date().toISOString(),
+    // rewards.json at the repo root, the same schedule the pipeline and the site use.
+    rewardsSchedule: loadRewardsSchedule(),
+    // overrides.json alias names win over resolved in-game names, as on the site.
+    names: {
+      ...(profiles?.namesByAddress || {}),
+      ...Object.fromEntries(
+        Object.entries(profiles?.aliasesByAddress || {}).filter(([, a]) => a?.name).map(([w, a]) => [w, a.name]),
+      ),
+    },
+    tierById: ranges?.rangesByTournamentId || {},
+    wins,
+    winsByWallet: index(wins, (w) => [w.wallet]),
+    matches,
+    matchesByWallet: index(matches, (m) => [m.playerA, m.playerB]),
+    matchesByTournament: index(matches, (m) => [m.tournamentId]),
+    resultsById: new Map((results?.tournaments || []).map((t) => [String(t.tournamentId), t])),
+    bracketsById: brackets?.brackets || {},
+    ratingsByWallet: new Map((ratings?.players || []).map((p) => [lower(p.wallet), p])),
+    rivalsByWallet: new Map((rivalries?.players || []).map((p) => [lower(p.wallet), p])),
+    headToHead: headToHead?.pairs || {},
+    identityByWallet: new Map(
+      (identities?.identities || []).flatMap((i) => i.wallets.map((w) => [lower(w), { id: i.id, name: i.name, wallets: i.wallets }])),
+    ),
+    votes: voteRows,
+    votesByVoter: index(voteRows, (v) => [v.voter]),
+    votesByTournament: index(voteRows, (v) => [v.tournamentId]),
+  };
+
+  console.log(
+    `[api] loaded wins=${wins.length} matches=${matches.length} tournaments=${data.resultsById.size} votes=${voteRows.length} in ${Date.now() - started}ms`
+  );
+}
+
+// ---------- helpers ----------
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function parseTime(value, name) {
+  if (value == null || value === "") return null;
+  if (/^\d+$/.test(value)) {
+    const n = Number(value);
+    return n < 1e12 ? n * 1000 : n;
+  }
+  const ms = Date.parse(value);
+  if (!Number.isFinite(ms)) throw new HttpError(400, `Invalid ${name}: ${value}`);
+  return ms;
+}
+
+function paginate(rows, query) {
+  const limit = Math.min(MAX_LIMIT, Math.max(1, Number(query.get("limit")) || DEFAULT_LIMIT));
+  const page = Math.max(1, Number(query.get("page")) || 1);
+  return { page, limit, total: rows.length, items: rows.slice((page - 1) * limit, page * limit) };
+}
+
+function weeklyEarnings(wins) {
+  const weeks = new Map();
+  for (const w of wins) {
+    const wk = startOfUtcWeekMonday(w.timestamp * 1000);
+    const c = weeks.get(wk) || { weekStartUtc: new Date(wk).toISOString(), lvl10Wins: 0, lvl20Wins: 0, jewel: 0 };
+    if (w.tier === 10) c.lvl10Wins++;
+    else if (w.tier === 20) c.lvl20Wins++;
+    weeks.set(wk, c);
+  }
+  const out = [...weeks.entries()]
+    .sort((a, b) => b[0] - a[0])
+    .map(([wk, c]) => ({ ...c, jewel: weeklyPayout(data.rewardsSchedule, wk, c.lvl10Wins, c.lvl20Wins).totalJewel }));
+  return { total: out.reduce((s, w) => s + w.jewel, 0), weeks: out };
+}
+
+function placementOf(wallet, result) {
+  const p = result?.placements || {};
+  if (p.first === wallet) return "first";
+  if (p.second === wallet) return "second";
+  if ((p.thirds || []).includes(wallet)) return "third";
+  if (p.fourth === wallet) return "fourth";
+  return null;
+}
+
+// ---------- routes ----------
+
+function getPlayer(wallet, query) {
+  if (!/^0x[0-9a-f]{40}$/.test(wallet)) throw new HttpError(400, "Invalid wallet");
+
+  const wins = data.winsByWallet.get(wallet) || [];
+  const matches = [...(data.matchesByWallet.get(wallet) || [])].sort(
+    (a, b) => (b.blockNumber ?? 0) - (a.blockNumber ?? 0) || (b.logIndex ?? 0) - (a.logIndex ?? 0)
+  );
+  if (!wins.length && !matches.length && !data.votesByVoter.has(wallet)) throw new HttpError(404, "Unknown wallet");
+
+  const tournamentIds = [...new Set(matches.map((m) => m.tournamentId))].sort((a, b) => Number(b) - Number(a));
+  const placements = { first: [], second: [], third: [], fourth: [] };
+  const finishes = {}; // finishing band (tournament-results.json ladder) -> count
+  for (const tid of tournamentIds) {
+    const result = data.resultsById.get(tid);
+    const place = placementOf(wallet, result);
+    if (place) placements[place].push(Number(tid));
+    const band = (result?.ladder || []).find((g) => g.wallets.includes(wallet))?.band;
+    if (band) finishes[band] = (finishes[band] || 0) + 1;
+  }
+
+  const cast = data.votesByVoter.get(wallet) || [];
+  const rival = data.rivalsByWallet.get(wallet);
+
+  return {
+    wallet,
+    name: data.names[wallet] ?? null,
+    identity: data.identityByWallet.get(wallet) ?? null,
+    wins: {
+      lvl10: wins.filter((w) => w.tier === 10).length,
+      lvl20: wins.filter((w) => w.tier === 20).length,
+      total: wins.length,
+    },
+    earnings: weeklyEarnings(wins),
+    tournamentsEntered: tournamentIds.length,
+    placements,
+    finishes,
+    matchRecord: {
+      wins: matches.filter((m) => m.winner === wallet).length,
+      losses: matches.filter((m) => m.winner && m.winner !== wallet).length,
+    },
+    rating: data.ratingsByWallet.get(wallet) || null,
+    rivals: rival ? { beatenMost: rival.beatenMost, lostToMost: rival.lostToMost } : null,
+    votesCast: {
+      rows: cast.length,
+      votes: cast.reduce((s, v) => s + (Number(v.votes) || 0), 0) / VOTE_SCALE,
+      tournaments: new Set(cast.map((v) => v.tournamentId)).size,
+    },
+    matches: paginate(matches, query),
+  };
+}
+
+function getTournament(id) {
+  if (!/^\d+$/.test(id)) throw new HttpError(400, "Invalid tournament id");
+  const result = data.resultsById.get(id) || null;
+  const matches = data.matchesByTournament.get(id) || [];
+  if (!result && !matches.length) throw new HttpError(404, "Unknown tournament");
+
+  return {
+    tournamentId: Number(id),
+    range: data.tierById[id] ?? null,
+    result,
+    bracket: data.bracketsById[id] ?? null,
+    matches: [...matches].sort((a, b) => (a.blockNumber ?? 0) - (b.blockNumber ?? 0) || (a.logIndex ?? 0) - (b.logIndex ?? 0)),
+  };
+}
+
+function getHeadToHead(a, b) {
+  if (![a, b].every((w) => /^0x[0-9a-f]{40}$/.test(w))) throw new HttpError(400, "Invalid wallet");
+  if (a === b) throw new HttpError(400, "Pick two different wallets");
+
+  // Pairs are stored once, under the sorted wallets; never having met is an empty record.
+  const swapped = a > b;
+  const pair = data.headToHead[swapped ? `${b}|${a}` : `${a}|${b}`] || null;
+  return {
+    a: { wallet: a, name: data.names[a] ?? null, wins: (swapped ? pair?.bWins : pair?.aWins) ?? 0 },
+    b: { wallet: b, name: data.names[b] ?? null, wins: (swapped ? pair?.aWins : pair?.bWins) ?? 0 },
+    tournaments: pair?.tournaments ?? [],
+    lastMeeting: pair?.lastMeeting ?? null,
+    meetings: pair?.meetings ?? [],
+  };
+}
+
+function getLeaderboard(query) {
+  const fromMs = parseTime(query.get("from"), "from");
+  const toMs = parseTime(query.get("to"), "to");
+  const tierParam = query.get("tier") || "all";
+  if (!["10", "20", "all"].includes(tierParam)) throw new HttpError(400, "tier must be 10, 20 or all");
+  const tier = tierParam === "all" ? null : Number(tierParam);
+  const view = query.get("view") || "wallet";
+  if (!["wallet", "identity"].includes(view)) throw new HttpError(400, "view must be wallet or identity");
+
+  const byWallet = new Map();
+  for (const w of data.wins) {
+    const ms = w.timestamp * 1000;
+    if (fromMs != null && ms < fromMs) continue;
+    if (toMs != null && ms >= toMs) continue;
+    if (tier != null && w.tier !== tier) continue;
+    if (!byWallet.has(w.wallet)) byWallet.set(w.wallet, []);
+    byWallet.get(w.wallet).push(w);
+  }
+
+  const walletRows = [...byWallet.entries()]
+    .map(([wallet, wins]) => {
+      const lvl10Wins = wins.filter((w) => w.tier === 10).length;
+      const lvl20Wins = wins.filter((w) => w.tier === 20).length;
+      return {
+        wallet,
+        name: data.names[wallet] ?? null,
+        lvl10Wins,
+        lvl20Wins,
+        total: wins.length,
+        jewel: weeklyEarnings(wins).total,
+      };
+    })
+    .sort((a, b) => b.total - a.total || b.jewel - a.jewel || a.wallet.localeCompare(b.wallet));
+
+  // Payouts are per wallet, so a player's jewel is the sum of their wallets' payouts.
+  const rows = (view === "identity"
+    ? groupByIdentity(walletRows, data.identityByWallet, { sum: ["lvl10Wins", "lvl20Wins", "total", "jewel"] })
+      .map((r) => ({ ...r, name: r.name ?? walletRows.find((w) => w.wallet === r.wallet).name }))
+      .sort((a, b) => b.total - a.total || b.jewel - a.jewel || a.wallet.localeCompare(b.wallet))
+    : walletRows
+  ).map((r, i) => ({ rank: i + 1, ...r }));
+
+  return {
+    from: fromMs != null ? new Date(fromMs).toISOString() : null,
+    to: toMs != null ? new Date(toMs).toISOString() : null,
+    tier: tierParam,
+    view,
+    ...paginate(rows, query),
+  };
+}
+
+function getVotes(query) {
+  const tournament = query.get("tournament");
+  const wallet = lower(query.get("wallet") || "");
+
+  let rows = data.votes;
+  if (wallet) rows = data.votesByVoter.get(wallet) || [];
+  if (tournament) rows = (wallet ? rows : data.votesByTournament.get(tournament) || []).filter((v) => v.tournamentId === tournament);
+
+  return { tournament: tournament || null, wallet: wallet || null, ...paginate(rows, query) };
+}
+
+function route(url) {
+  const parts = url.pathname.replace(/\/+$/, "").split("/").filter(Boolean);
+  const q = url.searchParams;
+
+  if (parts[0] === "health" && parts.length === 1) return { ok: true, loadedAtUtc: data.loadedAtUtc };
+  if (parts[0] === "players" && parts.length === 2) return getPlayer(lower(parts[1]), q);
+  if (parts[0] === "tournaments" && parts.length === 2) return getTournament(parts[1]);
+  if (parts[0] === "head-to-head" && parts.length === 3) return getHeadToHead(lower(parts[1]), lower(parts[2]));
+  if (parts[0] === "leaderboard" && parts.length === 1) return getLeaderboard(q);
+  if (parts[0] === "votes" && parts.length === 1) return getVotes(q);
+  if (parts[0] === "live" && parts.length === 1) return readJson("live.json") || { tournaments: [] };
+  throw new HttpError(404, "Not found");
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "content-type": "application/json; charset=utf-8",
+    "access-control-allow-origin": "*",
+    "cache-control": "no-store",
+  });
+  res.end(JSON.stringify(body));
+}
+
+function main() {
+  loadData();
+
+  const server = http.createServer((req, res) => {
+    if (req.method === "OPTIONS") return send(res, 204, {});
+    if (req.method !== "GET") return send(res, 405, { error: "Method not allowed" });
+
+    try {
+      send(res, 200, route(new URL(req.url, `http://${req.headers.host || "localhost"}`)));
+    } catch (err) {
+      const status = err instanceof HttpError ? err.status : 500;
+      if (status === 500) console.error(err);
+      send(res, status, { error: status === 500 ? "Internal error" : err.message });
+    }
+  });
+
+  // update-all.js rewrites the marker when a run completes.
+  fs.watchFile(UPDATE_MARKER, { interval: 2000 }, (cur, prev) => {
+    if (cur.mtimeMs !== prev.mtimeMs && cur.mtimeMs > 0) {
+      console.log("[api] update-all finished, reloading data");
+      loadData();
+    }
+  });
+  process.on("SIGHUP", () => {
+    console.log("[api] SIGHUP, reloading data");
+    loadData();
+  });
+
+  server.listen(PORT, HOST, () => console.log(`[api] listening on http://${HOST}:${PORT}`));
+}
+
+main();
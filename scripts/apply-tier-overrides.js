@@ -3,12 +3,16 @@
 //   node scripts/apply-tier-overrides.js 2044=20
 //   node scripts/apply-tier-overrides.js 2044=20 2045=10
 //
-// It edits: public/leaderboard.json
-// It updates any win rows whose tournamentId matches the override(s).
+// It records the override(s) under "tiers" in overrides.json (the "manual" source of
+// scripts/tier-resolver.js, which outranks every other source), re-resolves
+// public/tournamentRanges.json and updates matching win rows in public/leaderboard.json.
+// Commit overrides.json afterwards; every later update-all run re-applies it.
 
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { OVERRIDES_PATH, readOverridesDoc, writeOverridesDoc } from "./overrides.js";
+import { writeResolvedRanges } from "./tier-resolver.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -68,6 +72,18 @@ function normalizeTourneyId(win) {
   return /^\d+$/.test(s) ? s : digits[digits.length - 1];
 }
 
+function recordManualOverrides(overrides) {
+  const doc = readOverridesDoc();
+  const now = new Date().toISOString();
+  doc.tiers = doc.tiers || {};
+  for (const [tid, tier] of overrides.entries()) {
+    doc.tiers[tid] = { ...(doc.tiers[tid] || {}), tier };
+  }
+  doc.updatedAtUtc = now;
+  writeOverridesDoc(doc);
+  console.log(`Recorded ${overrides.size} tier override(s) in ${OVERRIDES_PATH}`);
+}
+
 function main() {
   const overrides = parseOverrides(process.argv.slice(2));
 
@@ -76,6 +92,9 @@ function main() {
     process.exit(1);
   }
 
+  recordManualOverrides(overrides);
+  const resolved = writeResolvedRanges();
+
   const data = readJson(LEADERBOARD_PATH);
   const wins = Array.isArray(data.wins) ? data.wins : [];
 
@@ -88,7 +107,7 @@ function main() {
 
     if (overrides.has(tid)) {
       touched++;
-      const newTier = overrides.get(tid);
+      const newTier = resolved[tid]?.tier ?? overrides.get(tid);
       const oldTier = w.tier;
 
       if (oldTier !== newTier) {
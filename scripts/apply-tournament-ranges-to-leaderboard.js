@@ -3,8 +3,8 @@
  * Apply /public/tournamentRanges.json to /public/leaderboard.json
  * and write /public/leaderboard.json back with corrected win.tier values.
  *
- * Rule:
- *   if maxLevel >= 20 => tier = 20 else tier = 10
+ * Uses the tier chosen by scripts/tier-resolver.js; entries without one fall back
+ * to the resolver's level rule (tierFromLevels).
  *
  * Also copies:
  *   public/leaderboard.json -> leaderboard.json (repo root)
@@ -13,6 +13,8 @@
 import fs from "fs";
 import path from "path";
 import { readJson, writeJson } from "./utils.js";
+import { appliedOverride } from "./overrides.js";
+import { tierFromLevels } from "./tier-resolver.js";
 
 const ROOT = process.cwd();
 const PUBLIC_DIR = path.join(ROOT, "public");
@@ -21,15 +23,14 @@ const RANGES_PATH = path.join(PUBLIC_DIR, "tournamentRanges.json");
 const ROOT_LEADERBOARD_COPY = path.join(ROOT, "leaderboard.json");
 
 function deriveTier(range) {
-  const maxLevel = Number(
+  if (range?.tier === 10 || range?.tier === 20) return range.tier;
+  const maxLevel =
     range?.maxLevel ??
-      range?.max ??
-      range?.max_level ??
-      range?.maxHeroLevel ??
-      range?.max_hero_level
-  );
-  if (!Number.isFinite(maxLevel)) return null;
-  return maxLevel >= 20 ? 20 : 10;
+    range?.max ??
+    range?.max_level ??
+    range?.maxHeroLevel ??
+    range?.max_hero_level;
+  return tierFromLevels(null, maxLevel);
 }
 
 function main() {
@@ -48,6 +49,7 @@ function main() {
 
   let changed = 0;
   const examples = [];
+  const manualTierWins = new Map();
 
   for (const w of leaderboard.wins) {
     const tid = String(w.tournamentId ?? w.tournament_id ?? w.tournament ?? "");
@@ -58,6 +60,7 @@ function main() {
 
     const newTier = deriveTier(r);
     if (!newTier) continue;
+    if (r.source === "manual") manualTierWins.set(tid, (manualTierWins.get(tid) || 0) + 1);
 
     const prevTier = Number(w.tier ?? 0) || 0;
 
@@ -73,6 +76,15 @@ function main() {
   leaderboard.tiersUpdatedAtUtc = new Date().toISOString();
   leaderboard.tiersChanges = changed;
 
+  // Tier overrides from overrides.json (resolved as the "manual" source), next to the
+  // exclusions the wins puller already reported.
+  leaderboard.overridesApplied = [
+    ...(leaderboard.overridesApplied || []).filter((o) => o.type !== "tier"),
+    ...[...manualTierWins].map(([tid, wins]) =>
+      appliedOverride("tier", tid, { tier: ranges[tid].tier, winsMatched: wins }, ranges[tid])
+    ),
+  ];
+
   writeJson(LEADERBOARD_PATH, leaderboard);
 
   // ✅ Keep repo root in sync for Pages/root consumers and your sanity
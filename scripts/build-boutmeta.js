@@ -16,6 +16,7 @@
 
 import fs from "fs";
 import { ethers } from "ethers";
+import { createLogClient } from "./rpc-logs.js";
 
 const DIAMOND = "0xc7681698B14a2381d9f1eD69FC3D27F33965b53B";
 
@@ -37,28 +38,6 @@ function isTopic0(x) {
   return typeof x === "string" && /^0x[0-9a-fA-F]{64}$/.test(x);
 }
 
-async function getLogsChunked(provider, baseFilter, fromBlock, toBlock, chunkSize = 2000) {
-  const out = [];
-  for (let start = fromBlock; start <= toBlock; start += chunkSize) {
-    const end = Math.min(start + chunkSize - 1, toBlock);
-    try {
-      const part = await provider.getLogs({ ...baseFilter, fromBlock: start, toBlock: end });
-      out.push(...part);
-    } catch (e) {
-      // If RPC chokes, retry smaller
-      if (chunkSize > 250) {
-        const smaller = Math.max(250, Math.floor(chunkSize / 2));
-        console.warn(`getLogs failed for ${start}..${end}; retrying with chunk=${smaller}`);
-        const part = await getLogsChunked(provider, baseFilter, start, end, smaller);
-        out.push(...part);
-      } else {
-        throw e;
-      }
-    }
-  }
-  return out;
-}
-
 function buildBoutSetFromLedger(max = 8000) {
   const ledger = tryReadJson("public/votes-ledger.json") || [];
   const set = new Set();
@@ -159,15 +138,15 @@ function pickInternalTournamentWord(sampleLogs, maxWords = 12) {
 }
 
 async function main() {
-  const rpc = process.env.RPC_URL;
-  if (!rpc) throw new Error("Set RPC_URL first.");
-  const provider = new ethers.JsonRpcProvider(rpc);
-
   const fromBlock = Number(process.argv[2] || "22000000");
   const toBlock = Number(process.argv[3] || "22320000");
   const chunkArg = process.argv[4] != null ? Number(process.argv[4]) : null;
   const chunkSize = Number.isFinite(chunkArg) && chunkArg > 0 ? Math.floor(chunkArg) : 2000;
 
+  // The client shrinks the window itself when the RPC rejects a range
+  // (this script used to halve down to 250 blocks on its own).
+  const client = createLogClient({ label: "boutmeta", chunkSize, minChunkSize: 250 });
+
   console.log(`Scanning bout mapping logs: ${fromBlock} -> ${toBlock}`);
 
   const boutSet = buildBoutSetFromLedger();
@@ -185,7 +164,7 @@ async function main() {
 
     for (let start = fromBlock; start <= toBlock; start += chunkSize) {
       const end = Math.min(start + chunkSize - 1, toBlock);
-      const logs = await provider.getLogs({ address: DIAMOND, fromBlock: start, toBlock: end });
+      const logs = await client.getLogs({ address: DIAMOND, fromBlock: start, toBlock: end });
       for (const l of logs) {
         const t0 = (l.topics?.[0] || "").toLowerCase();
         if (!isTopic0(t0)) continue;
@@ -229,13 +208,12 @@ async function main() {
   }
 
   // Second pass: fetch mapping logs for chosen topic0
-  const mappingLogs = await getLogsChunked(
-    provider,
-    { address: DIAMOND, topics: [mappingTopic0] },
+  const mappingLogs = await client.getLogs({
+    address: DIAMOND,
+    topics: [mappingTopic0],
     fromBlock,
     toBlock,
-    chunkSize
-  );
+  });
 
   console.log("Found mapping logs:", mappingLogs.length);
 
@@ -0,0 +1,169 @@
+// scripts/build-payouts.js
+//
+// Weekly JEWEL payout ledger, for reconciling the actual sends.
+//
+// One row per wallet per payout week (Monday 00:00 UTC to the next Monday):
+// wins by tier, the L10 bracket reached, the payout, and the tournament ids that
+// counted. Wins come from public/leaderboard.json after the tier step, so a tier
+// fixed in overrides.json or tournamentRanges.json moves the payout with it.
+// Wins with no resolved tier pay nothing and are listed per row as unresolved.
+//
+// Rules: rewards.json (scripts/rewards-schedule.js). Each week is priced by the
+// entry in effect when it started; L10 pays the highest bracket reached that
+// week, L20 pays per win.
+//
+// Writes:
+//   public/payouts.json   { rewards, counts, totals, weeks: [{ weekStartUtc, weekEndUtc, status, rewardsEffectiveFrom, totalJewel, payouts: [...] }] }
+//   public/payouts.csv    the same rows, one line per wallet-week
+//
+// The current week is "open": its payouts can still grow until it ends.
+//
+// Usage:
+//   node scripts/build-payouts.js
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadRewardsSchedule, publicSchedule, rewardsAt, weeklyPayout } from "./rewards-schedule.js";
+import { readJson, writeJson } from "./utils.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = process.cwd();
+const LEADERBOARD_PATH = path.join(ROOT, "public", "leaderboard.json");
+const PROFILES_PATH = path.join(ROOT, "public", "profiles.json");
+const OUT_JSON = path.join(ROOT, "public", "payouts.json");
+const OUT_CSV = path.join(ROOT, "public", "payouts.csv");
+
+const WEEK_SEC = 7 * 24 * 3600;
+
+/** Monday 00:00 UTC of the week containing tsSec (unix seconds). */
+export function weekStartUtcSeconds(tsSec) {
+  const d = new Date(tsSec * 1000);
+  const diffToMonday = (d.getUTCDay() + 6) % 7;
+  return Math.floor(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - diffToMonday) / 1000);
+}
+
+/**
+ * Build the weekly ledger from wins[] ({ wallet, tournamentId, timestamp, tier }).
+ * Returns [{ weekStart, status, rewardsEffectiveFrom, totalJewel, payouts: [row] }], newest week first.
+ */
+export function computeWeeklyPayouts(wins, rewardsSchedule, nowSec = Math.floor(Date.now() / 1000)) {
+  const thisWeek = weekStartUtcSeconds(nowSec);
+
+  const weeks = new Map(); // weekStart -> wallet -> tally
+  for (const w of wins) {
+    const wallet = String(w.wallet || "").toLowerCase();
+    const ts = Number(w.timestamp);
+    if (!wallet || !Number.isFinite(ts)) continue;
+
+    const wk = weekStartUtcSeconds(ts);
+    if (!weeks.has(wk)) weeks.set(wk, new Map());
+    const byWallet = weeks.get(wk);
+    if (!byWallet.has(wallet)) byWallet.set(wallet, { l10: [], l20: [], unresolved: [] });
+
+    const t = byWallet.get(wallet);
+    const tid = Number(w.tournamentId);
+    if (w.tier === 10) t.l10.push(tid);
+    else if (w.tier === 20) t.l20.push(tid);
+    else t.unresolved.push(tid);
+  }
+
+  return [...weeks.entries()]
+    .sort((a, b) => b[0] - a[0])
+    .map(([weekStart, byWallet]) => {
+      const payouts = [...byWallet.entries()]
+        .map(([wallet, t]) => {
+          const pay = weeklyPayout(rewardsSchedule, weekStart * 1000, t.l10.length, t.l20.length);
+          return {
+            wallet,
+            l10Wins: t.l10.length,
+            l20Wins: t.l20.length,
+            l10Bracket: pay.bracket ? pay.bracket.minWins : null,
+            l10Jewel: pay.l10Jewel,
+            l20Jewel: pay.l20Jewel,
+            totalJewel: pay.totalJewel,
+            l10TournamentIds: t.l10.sort((a, b) => a - b),
+            l20TournamentIds: t.l20.sort((a, b) => a - b),
+            unresolvedTournamentIds: t.unresolved.sort((a, b) => a - b),
+          };
+        })
+        .sort((a, b) => b.totalJewel - a.totalJewel || b.l10Wins + b.l20Wins - (a.l10Wins + a.l20Wins) || a.wallet.localeCompare(b.wallet));
+
+      return {
+        weekStart,
+        status: weekStart >= thisWeek ? "open" : "closed",
+        rewardsEffectiveFrom: rewardsAt(rewardsSchedule, weekStart * 1000).effectiveFrom,
+        totalJewel: payouts.reduce((s, p) => s + p.totalJewel, 0),
+        payouts,
+      };
+    });
+}
+
+function csvField(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+}
+
+function toCsv(weeks, nameOf) {
+  const header = [
+    "week_start_utc", "status", "wallet", "name",
+    "l10_wins", "l20_wins", "l10_bracket_min_wins", "l10_jewel", "l20_jewel", "total_jewel",
+    "l10_tournament_ids", "l20_tournament_ids", "unresolved_tournament_ids",
+  ];
+  const lines = [header.join(",")];
+  for (const wk of weeks) {
+    for (const p of wk.payouts) {
+      lines.push([
+        wk.weekStartUtc, wk.status, p.wallet, nameOf(p.wallet),
+        p.l10Wins, p.l20Wins, p.l10Bracket ?? "", p.l10Jewel, p.l20Jewel, p.totalJewel,
+        p.l10TournamentIds.join(" "), p.l20TournamentIds.join(" "), p.unresolvedTournamentIds.join(" "),
+      ].map(csvField).join(","));
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+function main() {
+  const leaderboard = readJson(LEADERBOARD_PATH);
+  if (!Array.isArray(leaderboard?.wins)) throw new Error(`Missing wins[] in ${LEADERBOARD_PATH}`);
+  const rewardsSchedule = loadRewardsSchedule();
+
+  const profiles = readJson(PROFILES_PATH, {});
+  const nameOf = (w) => profiles?.aliasesByAddress?.[w]?.name || profiles?.namesByAddress?.[w] || "";
+
+  const iso = (sec) => new Date(sec * 1000).toISOString();
+  const weeks = computeWeeklyPayouts(leaderboard.wins, rewardsSchedule).map(({ weekStart, ...wk }) => ({
+    weekStartUtc: iso(weekStart),
+    weekEndUtc: iso(weekStart + WEEK_SEC),
+    ...wk,
+  }));
+
+  const rows = weeks.flatMap((w) => w.payouts);
+  writeJson(OUT_JSON, {
+    updatedAtUtc: new Date().toISOString(),
+    source: "public/leaderboard.json wins[] (after tier resolution)",
+    rewards: {
+      schedule: publicSchedule(rewardsSchedule),
+      weekStart: "Monday 00:00 UTC",
+    },
+    counts: {
+      weeks: weeks.length,
+      rows: rows.length,
+      wallets: new Set(rows.map((r) => r.wallet)).size,
+      paidRows: rows.filter((r) => r.totalJewel > 0).length,
+    },
+    totals: {
+      totalJewel: weeks.reduce((s, w) => s + w.totalJewel, 0),
+      closedJewel: weeks.filter((w) => w.status === "closed").reduce((s, w) => s + w.totalJewel, 0),
+      unresolvedWins: rows.reduce((s, r) => s + r.unresolvedTournamentIds.length, 0),
+    },
+    weeks,
+  });
+  fs.writeFileSync(OUT_CSV, toCsv(weeks, nameOf), "utf8");
+
+  console.log(`Wrote ${OUT_JSON} and ${path.basename(OUT_CSV)}: ${weeks.length} weeks, ${rows.length} wallet-weeks`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main();
+}
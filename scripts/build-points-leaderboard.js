@@ -1,6 +1,33 @@
 // scripts/build-points-leaderboard.js
 import fs from "fs";
 import path from "path";
+import { createLogClient, rpcUrlsFromEnv } from "./rpc-logs.js";
+import {
+  listSeasons,
+  loadLeagueConfig,
+  pickCurrentSeasons,
+  resolveSeasonBlocks,
+  saveLeagueConfig,
+} from "./league-calendar.js";
+import {
+  isFrozen,
+  loadArchiveManifest,
+  manifestEntry,
+  seasonStatus,
+  writeArchiveManifest,
+  writeSeasonArchive,
+} from "./league-archive.js";
+import {
+  DEFAULT_RULESET_NAME,
+  bracketMultiplier,
+  describeRuleset,
+  loadTierByTournament,
+  placementAllowed,
+  resolveRulesets,
+  tierWeight,
+} from "./scoring-rules.js";
+import { appliedOverride, loadOverrides } from "./overrides.js";
+import { groupByIdentity, loadIdentities } from "./identities.js";
 
 const ROOT = process.cwd();
 const RESULTS_INPUT = path.join(ROOT, "public", "tournament-results.json");
@@ -8,19 +35,6 @@ const MATCHES_INPUT = path.join(ROOT, "public", "matches.json");
 const OUTPUT_CURRENT = path.join(ROOT, "public", "points-leaderboard.json");
 const OUTPUT_PREVIOUS = path.join(ROOT, "public", "points-leaderboard.previous.json");
 
-// Add a new month here when the month changes.
-const MONTH_START_BLOCKS = {
-  "2026-02": 22080000,
-  "2026-03": 22266000,
-};
-
-const SCORING = {
-  first: 3,
-  second: 2,
-  third: 1,
-  round1Exit: 0.5,
-};
-
 function normalizeAddress(addr) {
   return typeof addr === "string" ? addr.toLowerCase() : null;
 }
@@ -31,29 +45,12 @@ function comparePlayers(a, b) {
     b.firsts - a.firsts ||
     b.seconds - a.seconds ||
     b.thirds - a.thirds ||
+    b.fourthPlaces - a.fourthPlaces ||
     b.round1Exits - a.round1Exits ||
     a.wallet.localeCompare(b.wallet)
   );
 }
 
-function monthKeyFromDateUtc(date) {
-  const y = date.getUTCFullYear();
-  const m = String(date.getUTCMonth() + 1).padStart(2, "0");
-  return `${y}-${m}`;
-}
-
-function monthKeyOffsetUtc(baseDate, offsetMonths) {
-  const d = new Date(Date.UTC(baseDate.getUTCFullYear(), baseDate.getUTCMonth() + offsetMonths, 1));
-  return monthKeyFromDateUtc(d);
-}
-
-function leagueLabelFromKey(key) {
-  const [y, m] = key.split("-").map(Number);
-  const d = new Date(Date.UTC(y, m - 1, 1));
-  const month = d.toLocaleString("en-US", { month: "long", timeZone: "UTC" });
-  return `${month} League Points`;
-}
-
 function getOrCreatePlayer(map, wallet) {
   const key = normalizeAddress(wallet);
   if (!key) return null;
@@ -65,7 +62,11 @@ function getOrCreatePlayer(map, wallet) {
       firsts: 0,
       seconds: 0,
       thirds: 0,
+      fourthPlaces: 0,
       round1Exits: 0,
+      fourthPoints: 0,
+      participations: 0,
+      participationPoints: 0,
       tournamentsCounted: 0,
       tournamentIds: [],
       firstIds: [],
@@ -88,7 +89,19 @@ function award(player, tournamentId, bucket, points) {
   if (bucket === "firsts") player.firstIds.push(tournamentId);
   if (bucket === "seconds") player.secondIds.push(tournamentId);
   if (bucket === "thirds") player.thirdIds.push(tournamentId);
-  if (bucket === "round1Exits") player.fourthIds.push(tournamentId);
+  // The site's "4th" column covers both a resolved 4th place and round-1 exits.
+  if (bucket === "fourthPlaces" || bucket === "round1Exits") {
+    player.fourthIds.push(tournamentId);
+    player.fourthPoints += points;
+  }
+}
+
+// Participation is on top of any placement, so it does not count as a placement.
+function awardParticipation(player, points) {
+  if (!player) return;
+  player.points += points;
+  player.participations += 1;
+  player.participationPoints += points;
 }
 
 function otherPlayer(match, winner) {
@@ -102,6 +115,7 @@ function otherPlayer(match, winner) {
   return null;
 }
 
+// round1ExitRule "lowestSlot": the loser(s) of the lowest resultCode played.
 function buildRound1LosersByTournament(matchesPayload) {
   const rows = Array.isArray(matchesPayload?.matches) ? matchesPayload.matches : [];
   const grouped = new Map();
@@ -134,17 +148,43 @@ function buildRound1LosersByTournament(matchesPayload) {
   return out;
 }
 
-function buildLeaderboardForRange({
+// round1ExitRule "bottomBand": the bottom finishing band of a tournament's ladder
+// (tournament-results.json, best band first, players still in under band null).
+// Smaller fields open with rounds of byes, so that band is not always 5-8.
+function round1ExitWallets(ladder) {
+  const out = ladder.filter((g) => g.band && g.band !== "1");
+  return out.length ? out[out.length - 1].wallets : [];
+}
+
+// overrides.json disqualifications (points board only): "hold" keeps the row in its
+// sorted spot without a rank number, "bottom" moves it below everyone else.
+// `dqFor(row)` looks the row up (a player row is disqualified if any wallet is).
+function applyDisqualifications(sorted, dqFor) {
+  const isBottom = (p) => dqFor(p)?.mode === "bottom";
+  let rank = 0;
+  return [...sorted.filter((p) => !isBottom(p)), ...sorted.filter(isBottom)].map((p) => {
+    const dq = dqFor(p);
+    if (dq) return { ...p, rank: null, disqualification: { mode: dq.mode, label: dq.label } };
+    rank += 1;
+    return { ...p, rank };
+  });
+}
+
+function buildRulesetLeaderboard({
+  rules,
   tournaments,
   round1LosersByTournament,
+  tierByTournament,
   resultsSummary,
-  leagueKey,
-  leagueLabel,
-  startBlock,
-  endBlockExclusive,
+  disqualifications,
+  identitiesByWallet,
+  season,
   previousLeagueLabel,
   previousAvailable,
 }) {
+  const startBlock = season.startBlock;
+  const endBlockExclusive = season.endBlockExclusive ?? Infinity;
+
   const players = new Map();
 
   let tournamentsSeen = 0;
@@ -154,8 +194,11 @@ function buildLeaderboardForRange({
   let skippedAtOrAfterLeagueEnd = 0;
   let skippedIncomplete = 0;
   let skippedMissingPlacements = 0;
+  let skippedBelowMinBracketSize = 0;
+  let skippedByTierWeight = 0;
   let round1EligibleTournaments = 0;
   let round1Awards = 0;
+  let participationAwards = 0;
 
   for (const t of tournaments) {
     tournamentsSeen += 1;
@@ -164,6 +207,7 @@ function buildLeaderboardForRange({
     const status = t?.status ?? "unknown";
     const placements = t?.placements ?? {};
     const bracketSize = Number(t?.bracketSize || 0);
+    const ladder = Array.isArray(t?.ladder) ? t.ladder : [];
     const blockNumber = Number(t?.final?.blockNumber || t?.blockNumber || 0);
 
     if (blockNumber && blockNumber < startBlock) {
@@ -196,45 +240,82 @@ function buildLeaderboardForRange({
       continue;
     }
 
+    if (bracketSize < rules.minBracketSize) {
+      tournamentsSkipped += 1;
+      skippedBelowMinBracketSize += 1;
+      continue;
+    }
+
+    const weight = tierWeight(rules, tierByTournament.get(tournamentId) ?? null);
+    if (weight === 0) {
+      tournamentsSkipped += 1;
+      skippedByTierWeight += 1;
+      continue;
+    }
+
     tournamentsUsed += 1;
 
-    award(getOrCreatePlayer(players, first), tournamentId, "firsts", SCORING.first);
-    award(getOrCreatePlayer(players, second), tournamentId, "seconds", SCORING.second);
+    const factor = weight * bracketMultiplier(rules, bracketSize);
+    const pts = (placement) =>
+      placementAllowed(rules, placement, bracketSize) ? rules.points[placement] * factor : null;
 
-    for (const wallet of thirds) {
-      award(getOrCreatePlayer(players, wallet), tournamentId, "thirds", SCORING.third);
+    if (pts("first") != null) award(getOrCreatePlayer(players, first), tournamentId, "firsts", pts("first"));
+    if (pts("second") != null) award(getOrCreatePlayer(players, second), tournamentId, "seconds", pts("second"));
+
+    if (pts("third") != null) {
+      for (const wallet of thirds) {
+        award(getOrCreatePlayer(players, wallet), tournamentId, "thirds", pts("third"));
+      }
     }
 
-    if (bracketSize >= 5) {
+    // Only set when third place was resolved (see build-tournament-results.js).
+    const fourth = normalizeAddress(placements.fourth);
+    if (fourth && pts("fourth") != null) {
+      award(getOrCreatePlayer(players, fourth), tournamentId, "fourthPlaces", pts("fourth"));
+    }
+
+    if (pts("round1Exit") != null) {
       round1EligibleTournaments += 1;
 
-      const round1Losers = round1LosersByTournament.get(tournamentId) || [];
-      const excluded = new Set([first, second, ...thirds].filter(Boolean));
+      const round1Losers =
+        rules.round1ExitRule === "bottomBand" ? round1ExitWallets(ladder) : round1LosersByTournament.get(tournamentId) || [];
+      const excluded = new Set([first, second, ...thirds, fourth].filter(Boolean));
 
       for (const wallet of round1Losers) {
         if (!wallet || excluded.has(wallet)) continue;
-        award(getOrCreatePlayer(players, wallet), tournamentId, "round1Exits", SCORING.round1Exit);
+        award(getOrCreatePlayer(players, wallet), tournamentId, "round1Exits", pts("round1Exit"));
         round1Awards += 1;
       }
     }
+
+    if (rules.participation) {
+      for (const wallet of ladder.flatMap((g) => g.wallets)) {
+        awardParticipation(getOrCreatePlayer(players, wallet), rules.participation * factor);
+        participationAwards += 1;
+      }
+    }
   }
 
-  const ranked = [...players.values()]
+  const sorted = [...players.values()]
     .map((p) => ({
       ...p,
       points: Number(p.points.toFixed(4)),
-      fourthPoints: Number((p.round1Exits * SCORING.round1Exit).toFixed(4)),
+      fourthPoints: Number(p.fourthPoints.toFixed(4)),
+      participationPoints: Number(p.participationPoints.toFixed(4)),
     }))
     .sort(comparePlayers)
-    .map((p, idx) => ({
-      rank: idx + 1,
+    .map((p) => ({
+      rank: null,
       wallet: p.wallet,
       points: p.points,
       firsts: p.firsts,
       seconds: p.seconds,
       thirds: p.thirds,
+      fourthPlaces: p.fourthPlaces,
       round1Exits: p.round1Exits,
       fourthPoints: p.fourthPoints,
+      participations: p.participations,
+      participationPoints: p.participationPoints,
       tournamentsCounted: p.tournamentsCounted,
       tournamentIds: p.tournamentIds,
       firstIds: p.firstIds,
@@ -242,6 +323,32 @@ function buildLeaderboardForRange({
       thirdIds: p.thirdIds,
       fourthIds: p.fourthIds,
     }));
+  const ranked = applyDisqualifications(sorted, (p) => disqualifications.get(p.wallet));
+
+  // Per-player rows over linked wallets (scripts/identities.js); `players` stays per wallet.
+  const identityPlayers = applyDisqualifications(
+    groupByIdentity(ranked, identitiesByWallet, {
+      sum: ["points", "firsts", "seconds", "thirds", "fourthPlaces", "round1Exits", "fourthPoints", "participations", "participationPoints", "tournamentsCounted"],
+      union: ["tournamentIds", "firstIds", "secondIds", "thirdIds", "fourthIds"],
+    })
+      .map((p) => ({
+        rank: null,
+        ...p,
+        points: Number(p.points.toFixed(4)),
+        fourthPoints: Number(p.fourthPoints.toFixed(4)),
+        participationPoints: Number(p.participationPoints.toFixed(4)),
+      }))
+      .sort(comparePlayers),
+    (p) => p.wallets.map((w) => disqualifications.get(w)).find(Boolean),
+  );
+
+  const usedIds = new Set(ranked.flatMap((p) => p.tournamentIds.map(String)));
+  const overridesApplied = [
+    ...(resultsSummary?.overridesApplied || []).filter((o) => o.type === "placements" && usedIds.has(o.id)),
+    ...ranked
+      .filter((p) => p.disqualification)
+      .map((p) => appliedOverride("disqualification", p.wallet, p.disqualification, disqualifications.get(p.wallet))),
+  ];
 
   return {
     updatedAtUtc: new Date().toISOString(),
@@ -250,10 +357,20 @@ function buildLeaderboardForRange({
       "public/matches.json",
     ],
     sourceSummary: resultsSummary ?? null,
-    scoring: SCORING,
+    // Flat placement values, as the site reads them; the full ruleset follows.
+    scoring: {
+      ...rules.points,
+      round1MinBracketSize: rules.placementMinBracketSize.round1Exit ?? null,
+      round1ExitRule: rules.round1ExitRule,
+    },
+    ruleset: rules,
     summary: {
-      leagueKey,
-      leagueLabel,
+      ruleset: rules.name,
+      rulesetLabel: rules.label,
+      leagueKey: season.key,
+      leagueLabel: season.name,
+      startUtc: season.startUtc,
+      endUtc: season.endUtc,
       previousLeagueLabel: previousLeagueLabel || null,
       previousAvailable: !!previousAvailable,
       startBlock,
@@ -265,17 +382,31 @@ function buildLeaderboardForRange({
       skippedAtOrAfterLeagueEnd,
       skippedIncomplete,
       skippedMissingPlacements,
+      skippedBelowMinBracketSize,
+      skippedByTierWeight,
       round1EligibleTournaments,
       round1Awards,
+      participationAwards,
       playersRanked: ranked.length,
-      scoringRule: "1st=3, 2nd=2, tied 3rd=1 each, 4th=0.5 for tournaments with 5+ players",
-      fourthDefinition: "4th is shown as exact points earned from round-1 exits (count × 0.5).",
+      overridesApplied,
+      scoringRule: describeRuleset(rules),
+      fourthDefinition: "4th is shown as exact points earned from a resolved 4th place and round-1 exits.",
     },
     players: ranked,
+    identityPlayers,
   };
 }
 
-function main() {
+// One leaderboard per named ruleset for the season, keyed by ruleset name.
+function buildLeaderboardForRange({ rulesets, ...input }) {
+  const out = {};
+  for (const rules of rulesets) {
+    out[rules.name] = buildRulesetLeaderboard({ rules, ...input });
+  }
+  return out;
+}
+
+async function main() {
   if (!fs.existsSync(RESULTS_INPUT)) {
     throw new Error(`Missing input file: ${RESULTS_INPUT}`);
   }
@@ -288,33 +419,79 @@ function main() {
 
   const tournaments = Array.isArray(resultsParsed.tournaments) ? resultsParsed.tournaments : [];
   const round1LosersByTournament = buildRound1LosersByTournament(matchesParsed);
+  const tierByTournament = loadTierByTournament();
+  const { disqualifications } = loadOverrides();
+  const identitiesByWallet = loadIdentities().byWallet;
 
   const now = new Date();
-  const currentKey = monthKeyFromDateUtc(now);
-  const previousKey = monthKeyOffsetUtc(now, -1);
-  const nextKey = monthKeyOffsetUtc(now, 1);
-
-  const currentStart = MONTH_START_BLOCKS[currentKey];
-  if (!Number.isFinite(currentStart)) {
-    throw new Error(
-      `No league start block configured for ${currentKey}. Add it to MONTH_START_BLOCKS in scripts/build-points-leaderboard.js`
-    );
+  const leagueConfig = loadLeagueConfig();
+  const calendar = listSeasons(leagueConfig, now);
+  const { current: currentSeason, previous: previousSeason } = pickCurrentSeasons(calendar, now);
+
+  if (!currentSeason) {
+    throw new Error(`No league season covers ${now.toISOString()}. Add one to leagues.json (seasons or monthly.from).`);
   }
 
-  const nextStart = MONTH_START_BLOCKS[nextKey];
-  const previousStart = MONTH_START_BLOCKS[previousKey];
-
-  const currentOutput = buildLeaderboardForRange({
-    tournaments,
-    round1LosersByTournament,
-    resultsSummary: resultsParsed.summary,
-    leagueKey: currentKey,
-    leagueLabel: leagueLabelFromKey(currentKey),
-    startBlock: currentStart,
-    endBlockExclusive: Number.isFinite(nextStart) ? nextStart : Infinity,
-    previousLeagueLabel: Number.isFinite(previousStart) ? leagueLabelFromKey(previousKey) : null,
-    previousAvailable: Number.isFinite(previousStart),
-  });
+  // Every season that has started gets an archive file; final ones are
+  // frozen and skipped entirely (no rebuild, no block lookups).
+  const manifest = loadArchiveManifest();
+  const started = calendar.filter((s) => Date.parse(s.startUtc) <= now.getTime());
+  const toBuild = started.filter(
+    (s) => s === currentSeason || s === previousSeason || !isFrozen(s.key, manifest)
+  );
+
+  // Only the RPC is touched when a boundary is not in leagues.json's blockCache yet.
+  const { seasons: resolved, cacheChanged } = await resolveSeasonBlocks(
+    leagueConfig,
+    toBuild,
+    () => createLogClient({ label: "leagues", rpcUrls: rpcUrlsFromEnv("https://andromeda.metis.io/?owner=1088") })
+  );
+  if (cacheChanged) {
+    saveLeagueConfig(leagueConfig);
+    console.log("Cached new league boundary blocks in leagues.json");
+  }
+
+  const current = resolved.find((s) => s.key === currentSeason.key);
+  const previous = previousSeason ? resolved.find((s) => s.key === previousSeason.key) : null;
+  if (!Number.isFinite(current.startBlock)) {
+    throw new Error(`Could not resolve a start block for league ${current.key} (${current.startUtc}).`);
+  }
+  const previousAvailable = !!previous && Number.isFinite(previous.startBlock);
+
+  const outputs = new Map();
+  const archived = [];
+
+  for (const season of resolved) {
+    if (!Number.isFinite(season.startBlock)) {
+      console.log(`Skip league ${season.key}: start block not resolved`);
+      continue;
+    }
+
+    const earlier = started[started.findIndex((s) => s.key === season.key) - 1] || null;
+    const output = buildLeaderboardForRange({
+      rulesets: resolveRulesets(leagueConfig.rulesets, season.rulesets),
+      tournaments,
+      round1LosersByTournament,
+      tierByTournament,
+      resultsSummary: resultsParsed.summary,
+      disqualifications,
+      identitiesByWallet,
+      season,
+      previousLeagueLabel: season === current && previousAvailable ? previous.name : earlier?.name ?? null,
+      previousAvailable: season === current ? previousAvailable : !!earlier,
+    });
+    outputs.set(season.key, output);
+
+    if (isFrozen(season.key, manifest)) continue;
+    const status = seasonStatus(season, now);
+    for (const [name, payload] of Object.entries(output)) {
+      writeSeasonArchive(season, payload, status, name);
+    }
+    archived.push(manifestEntry(season, output, status));
+  }
+
+  const currentByRuleset = outputs.get(current.key);
+  const currentOutput = currentByRuleset[DEFAULT_RULESET_NAME];
 
   fs.mkdirSync(path.dirname(OUTPUT_CURRENT), { recursive: true });
   fs.writeFileSync(OUTPUT_CURRENT, JSON.stringify(currentOutput, null, 2));
@@ -325,27 +502,28 @@ function main() {
   console.log(`Tournaments used: ${currentOutput.summary.tournamentsUsed}`);
   console.log(`Players ranked: ${currentOutput.summary.playersRanked}`);
 
-  if (Number.isFinite(previousStart)) {
-    const previousOutput = buildLeaderboardForRange({
-      tournaments,
-      round1LosersByTournament,
-      resultsSummary: resultsParsed.summary,
-      leagueKey: previousKey,
-      leagueLabel: leagueLabelFromKey(previousKey),
-      startBlock: previousStart,
-      endBlockExclusive: currentStart,
-      previousLeagueLabel: null,
-      previousAvailable: false,
-    });
+  // Side-league rulesets get their own file next to the default one.
+  for (const [name, payload] of Object.entries(currentByRuleset)) {
+    if (name === DEFAULT_RULESET_NAME) continue;
+    const file = path.join(ROOT, "public", `points-leaderboard.${name}.json`);
+    fs.writeFileSync(file, JSON.stringify(payload, null, 2));
+    console.log(`Wrote ${file} (${payload.summary.rulesetLabel}: ${payload.summary.playersRanked} players)`);
+  }
 
+  // Kept for older copies of the site; the archive is the full history.
+  const previousOutput = previousAvailable ? outputs.get(previous.key)?.[DEFAULT_RULESET_NAME] : null;
+  if (previousOutput) {
     fs.writeFileSync(OUTPUT_PREVIOUS, JSON.stringify(previousOutput, null, 2));
     console.log(`Wrote ${OUTPUT_PREVIOUS}`);
     console.log(`Previous league: ${previousOutput.summary.leagueLabel}`);
     console.log(`Previous tournaments used: ${previousOutput.summary.tournamentsUsed}`);
-  } else if (fs.existsSync(OUTPUT_PREVIOUS)) {
-    fs.unlinkSync(OUTPUT_PREVIOUS);
   }
 
+  const written = writeArchiveManifest(archived, manifest);
+  console.log(
+    `League archive: ${written.seasons.length} seasons (${archived.map((e) => `${e.key}:${e.status}`).join(", ") || "none rewritten"})`
+  );
+
   console.log("");
   console.log("Top 10:");
   for (const p of currentOutput.players.slice(0, 10)) {
@@ -355,4 +533,7 @@ function main() {
   }
 }
 
-main();
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
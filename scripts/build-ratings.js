@@ -0,0 +1,342 @@
+// scripts/build-ratings.js
+//
+// Glicko-2 ratings from the head-to-head results in public/matches.json.
+//
+// Output: public/ratings.json (loaded by the site on every page view)
+//   players[]: wallet, rating, rd (rating deviation), volatility, conservative
+//              (rating - 2*rd, used for ranking), record and trend.
+// Output: public/ratings-history.json (loaded on the player profile)
+//   players: { wallet: [[block, rating, rd], ...] } after every rating period
+//            they played, oldest first.
+//
+// Matches only carry block numbers, so rating periods are fixed block windows
+// (RATING_PERIOD_BLOCKS, default ~1 day of Metis blocks). Every match in a
+// period is rated together, as Glicko-2 intends; RD grows again for each
+// period a player sits out.
+//
+// Usage:
+//   node scripts/build-ratings.js
+//
+// Env:
+//   RATING_PERIOD_BLOCKS   blocks per rating period (default 6650, ~24h)
+//   RATING_TREND_PERIODS   periods the trend looks back over (default 7)
+//   GLICKO_TAU             volatility constraint (default 0.5)
+
+import fs from "fs";
+import path from "path";
+import { appliedOverride, loadOverrides } from "./overrides.js";
+
+const ROOT = process.cwd();
+const MATCHES_INPUT = path.join(ROOT, "public", "matches.json");
+const OUTPUT = path.join(ROOT, "public", "ratings.json");
+const HISTORY_OUTPUT = path.join(ROOT, "public", "ratings-history.json");
+
+const PERIOD_BLOCKS = Number(process.env.RATING_PERIOD_BLOCKS || 6650);
+const TREND_PERIODS = Number(process.env.RATING_TREND_PERIODS || 7);
+
+const GLICKO = {
+  initialRating: 1500,
+  initialRd: 350,
+  initialVolatility: 0.06,
+  tau: Number(process.env.GLICKO_TAU || 0.5),
+  // RD never grows past the "unrated" value, however long a player is away.
+  maxRd: 350,
+  epsilon: 0.000001,
+};
+
+// Glicko-2 works on its own scale; 173.7178 = 400 / ln(10).
+const SCALE = 173.7178;
+
+function normalizeAddress(addr) {
+  return typeof addr === "string" ? addr.toLowerCase() : null;
+}
+
+function round(n, digits = 1) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+function g(phi) {
+  return 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+}
+
+function expectedScore(mu, muJ, phiJ) {
+  return 1 / (1 + Math.exp(-g(phiJ) * (mu - muJ)));
+}
+
+// Step 5 of Glickman's paper: new volatility via the Illinois algorithm.
+function newVolatility(phi, sigma, v, delta) {
+  const tau = GLICKO.tau;
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const num = ex * (delta * delta - phi * phi - v - ex);
+    const den = 2 * (phi * phi + v + ex) ** 2;
+    return num / den - (x - a) / (tau * tau);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * tau) < 0) k++;
+    B = a - k * tau;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > GLICKO.epsilon) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+function getOrCreatePlayer(map, wallet) {
+  if (!map.has(wallet)) {
+    map.set(wallet, {
+      wallet,
+      mu: 0,
+      phi: GLICKO.initialRd / SCALE,
+      sigma: GLICKO.initialVolatility,
+      lastPeriod: null,
+      matches: 0,
+      wins: 0,
+      losses: 0,
+      history: [],
+    });
+  }
+  return map.get(wallet);
+}
+
+// Inactivity: phi grows by sigma^2 per missed period (capped at the initial RD).
+function ageTo(player, period) {
+  if (player.lastPeriod == null) return;
+  const idle = period - player.lastPeriod - 1;
+  if (idle <= 0) return;
+  const maxPhi = GLICKO.maxRd / SCALE;
+  player.phi = Math.min(maxPhi, Math.sqrt(player.phi * player.phi + idle * player.sigma * player.sigma));
+}
+
+function ratePeriod(players, period, games, periodEndBlock) {
+  // Everyone in this period is rated against opponents' pre-period values.
+  const involved = new Set();
+  for (const gm of games) {
+    involved.add(gm.a);
+    involved.add(gm.b);
+  }
+  for (const w of involved) ageTo(getOrCreatePlayer(players, w), period);
+
+  const snapshot = new Map(
+    [...involved].map((w) => {
+      const p = players.get(w);
+      return [w, { mu: p.mu, phi: p.phi }];
+    })
+  );
+
+  const byPlayer = new Map();
+  for (const gm of games) {
+    const aWon = gm.winner === gm.a;
+    if (!byPlayer.has(gm.a)) byPlayer.set(gm.a, []);
+    if (!byPlayer.has(gm.b)) byPlayer.set(gm.b, []);
+    byPlayer.get(gm.a).push({ opp: gm.b, score: aWon ? 1 : 0 });
+    byPlayer.get(gm.b).push({ opp: gm.a, score: aWon ? 0 : 1 });
+  }
+
+  for (const [wallet, results] of byPlayer.entries()) {
+    const p = players.get(wallet);
+    const { mu, phi } = snapshot.get(wallet);
+
+    let vInv = 0;
+    let deltaSum = 0;
+    for (const r of results) {
+      const o = snapshot.get(r.opp);
+      const gPhi = g(o.phi);
+      const E = expectedScore(mu, o.mu, o.phi);
+      vInv += gPhi * gPhi * E * (1 - E);
+      deltaSum += gPhi * (r.score - E);
+
+      p.matches += 1;
+      if (r.score === 1) p.wins += 1;
+      else p.losses += 1;
+    }
+
+    const v = 1 / vInv;
+    const delta = v * deltaSum;
+    const sigma = newVolatility(phi, p.sigma, v, delta);
+    const phiStar = Math.sqrt(phi * phi + sigma * sigma);
+    const phiNew = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+
+    p.mu = mu + phiNew * phiNew * deltaSum;
+    p.phi = phiNew;
+    p.sigma = sigma;
+    p.lastPeriod = period;
+    p.history.push({
+      block: periodEndBlock,
+      rating: round(GLICKO.initialRating + SCALE * p.mu),
+      rd: round(SCALE * p.phi),
+    });
+  }
+}
+
+function loadRatedMatches() {
+  if (!fs.existsSync(MATCHES_INPUT)) {
+    throw new Error(`Missing input file: ${MATCHES_INPUT}`);
+  }
+  const parsed = JSON.parse(fs.readFileSync(MATCHES_INPUT, "utf8"));
+  const rows = Array.isArray(parsed?.matches) ? parsed.matches : [];
+
+  const { excludedTournaments } = loadOverrides();
+  const droppedByTournament = new Map();
+
+  const seen = new Set();
+  let skippedNoWinner = 0;
+  const out = [];
+
+  for (const row of rows) {
+    const tid = String(row?.matchId ?? "");
+    if (excludedTournaments.has(tid)) {
+      droppedByTournament.set(tid, (droppedByTournament.get(tid) || 0) + 1);
+      continue;
+    }
+
+    const a = normalizeAddress(row?.playerA);
+    const b = normalizeAddress(row?.playerB);
+    const w = normalizeAddress(row?.winner);
+    const block = Number(row?.blockNumber);
+    if (!a || !b || a === b || !Number.isFinite(block)) continue;
+    if (w !== a && w !== b) {
+      skippedNoWinner += 1;
+      continue;
+    }
+
+    const key = `${String(row?.txHash || "").toLowerCase()}:${row?.logIndex}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    out.push({ a, b, winner: w, block, logIndex: Number(row?.logIndex || 0) });
+  }
+
+  out.sort((x, y) => x.block - y.block || x.logIndex - y.logIndex);
+  const overridesApplied = [...droppedByTournament].map(([tid, matchesDropped]) =>
+    appliedOverride("excludedTournament", tid, { matchesDropped }, excludedTournaments.get(tid))
+  );
+  return { matches: out, skippedNoWinner, overridesApplied, sourceUpdatedAtUtc: parsed?.updatedAtUtc ?? null };
+}
+
+function ratingAtBlock(history, block) {
+  let value = null;
+  for (const h of history) {
+    if (h.block > block) break;
+    value = h.rating;
+  }
+  return value;
+}
+
+function main() {
+  const { matches, skippedNoWinner, overridesApplied, sourceUpdatedAtUtc } = loadRatedMatches();
+  const players = new Map();
+
+  let periods = 0;
+  for (let i = 0; i < matches.length; ) {
+    const period = Math.floor(matches[i].block / PERIOD_BLOCKS);
+    const games = [];
+    while (i < matches.length && Math.floor(matches[i].block / PERIOD_BLOCKS) === period) {
+      games.push(matches[i]);
+      i++;
+    }
+    ratePeriod(players, period, games, games[games.length - 1].block);
+    periods += 1;
+  }
+
+  const lastBlock = matches.length ? matches[matches.length - 1].block : null;
+  const lastPeriod = lastBlock != null ? Math.floor(lastBlock / PERIOD_BLOCKS) : null;
+  const trendFromBlock = lastBlock != null ? lastBlock - TREND_PERIODS * PERIOD_BLOCKS : null;
+
+  const ranked = [...players.values()]
+    .map((p) => {
+      // Report RD as of the latest period, so long-idle players show their uncertainty.
+      if (lastPeriod != null) ageTo(p, lastPeriod + 1);
+      const rating = GLICKO.initialRating + SCALE * p.mu;
+      const rd = SCALE * p.phi;
+      const before = ratingAtBlock(p.history, trendFromBlock);
+      const ratingRounded = round(rating);
+
+      return {
+        wallet: p.wallet,
+        rating: ratingRounded,
+        rd: round(rd),
+        volatility: round(p.sigma, 5),
+        conservative: round(rating - 2 * rd),
+        matches: p.matches,
+        wins: p.wins,
+        losses: p.losses,
+        lastBlock: p.history.length ? p.history[p.history.length - 1].block : null,
+        trend: round(ratingRounded - (before ?? GLICKO.initialRating)),
+      };
+    })
+    .sort((a, b) => b.conservative - a.conservative || b.rating - a.rating || a.wallet.localeCompare(b.wallet))
+    .map((p, idx) => ({ rank: idx + 1, ...p }));
+
+  const payload = {
+    updatedAtUtc: new Date().toISOString(),
+    sourceFile: "public/matches.json",
+    sourceUpdatedAtUtc,
+    system: "glicko2",
+    params: {
+      initialRating: GLICKO.initialRating,
+      initialRd: GLICKO.initialRd,
+      initialVolatility: GLICKO.initialVolatility,
+      tau: GLICKO.tau,
+      periodBlocks: PERIOD_BLOCKS,
+      trendPeriods: TREND_PERIODS,
+    },
+    summary: {
+      matchesRated: matches.length,
+      skippedNoWinner,
+      ratingPeriods: periods,
+      playersRated: ranked.length,
+      lastBlock,
+      trendFromBlock,
+      rankingRule: "Sorted by conservative rating (rating - 2 x RD).",
+      overridesApplied,
+    },
+    players: ranked,
+  };
+
+  fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+  fs.writeFileSync(OUTPUT, JSON.stringify(payload));
+  fs.writeFileSync(
+    HISTORY_OUTPUT,
+    JSON.stringify({
+      updatedAtUtc: payload.updatedAtUtc,
+      sourceUpdatedAtUtc,
+      periodBlocks: PERIOD_BLOCKS,
+      fields: ["block", "rating", "rd"],
+      players: Object.fromEntries(ranked.map((r) => [r.wallet, players.get(r.wallet).history.map((h) => [h.block, h.rating, h.rd])])),
+    })
+  );
+
+  console.log(`Wrote ${OUTPUT} and ${HISTORY_OUTPUT}`);
+  console.log(`matchesRated=${matches.length} skippedNoWinner=${skippedNoWinner} periods=${periods} players=${ranked.length}`);
+  console.log("");
+  console.log("Top 10:");
+  for (const p of ranked.slice(0, 10)) {
+    console.log(
+      `#${p.rank} ${p.wallet} | rating=${p.rating} rd=${p.rd} | ${p.wins}-${p.losses} | trend=${p.trend >= 0 ? "+" : ""}${p.trend}`
+    );
+  }
+}
+
+main();
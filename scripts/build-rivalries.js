@@ -3,6 +3,7 @@
 
 import fs from "fs/promises";
 import path from "path";
+import { identityKey, loadIdentities } from "./identities.js";
 
 function nowIso() {
   return new Date().toISOString();
@@ -57,36 +58,15 @@ function classifyWallet(p, cfg) {
   return { isCompetitive, isSystemish, winRate: wr, total };
 }
 
-async function main() {
-  const ROOT = process.cwd();
-  const matchesPath = path.join(ROOT, "public", "matches.json");
-
-  // Tunables (env override)
-  const cfg = {
-    TOP_N: Number(process.env.TOP_N || 3),
-
-    // Competitive filter
-    MIN_MATCHES: Number(process.env.MIN_MATCHES || 20),
-    MIN_WINRATE: Number(process.env.MIN_WINRATE || 0.05),
-    MAX_WINRATE: Number(process.env.MAX_WINRATE || 0.95),
-
-    // System-ish classifier (separate file)
-    MIN_MATCHES_SYSTEMISH: Number(process.env.MIN_MATCHES_SYSTEMISH || 50),
-    SYSTEMISH_WINRATE_HIGH: Number(process.env.SYSTEMISH_WINRATE_HIGH || 0.98),
-    SYSTEMISH_WINRATE_LOW: Number(process.env.SYSTEMISH_WINRATE_LOW || 0.02),
-  };
-
-  const raw = JSON.parse(await fs.readFile(matchesPath, "utf8"));
-  const matches = raw.matches || [];
-  if (!Array.isArray(matches)) {
-    throw new Error(`matches.json missing "matches" array: ${matchesPath}`);
-  }
-
-  // wallet -> { wins, losses, oppMap(Map<opp,{w,l}>) }
+// keyOf maps a wallet to the side it counts for (itself, or its identity).
+// Matches between two wallets with the same key are left out as `internal`.
+function tallyMatches(matches, keyOf, cfg) {
+  // key -> { wins, losses, oppMap(Map<opp,{w,l}>) }
   const stats = new Map();
 
   let used = 0;
   let skipped = 0;
+  let internal = 0;
 
   for (const m of matches) {
     const a = normAddr(m.playerA);
@@ -104,13 +84,18 @@ async function main() {
       continue;
     }
 
-    used++;
+    const winner = keyOf(w);
+    const loser = keyOf(w === a ? b : a);
+    if (winner === loser) {
+      internal++;
+      continue;
+    }
 
-    const loser = w === a ? b : a;
+    used++;
 
     // Winner record
-    if (!stats.has(w)) stats.set(w, { wallet: w, wins: 0, losses: 0, opp: new Map() });
-    const sw = stats.get(w);
+    if (!stats.has(winner)) stats.set(winner, { wallet: winner, wins: 0, losses: 0, opp: new Map() });
+    const sw = stats.get(winner);
     sw.wins++;
     ensureOpp(sw.opp, loser).w++;
 
@@ -118,15 +103,15 @@ async function main() {
     if (!stats.has(loser)) stats.set(loser, { wallet: loser, wins: 0, losses: 0, opp: new Map() });
     const sl = stats.get(loser);
     sl.losses++;
-    ensureOpp(sl.opp, w).l++;
+    ensureOpp(sl.opp, winner).l++;
   }
 
-  const allPlayers = [];
+  const players = [];
   for (const s of stats.values()) {
     const total = s.wins + s.losses;
     const winRate = total ? s.wins / total : 0;
 
-    allPlayers.push({
+    players.push({
       wallet: s.wallet,
       wins: s.wins,
       losses: s.losses,
@@ -138,7 +123,95 @@ async function main() {
   }
 
   // Sort: most matches desc, then winrate desc
-  allPlayers.sort((x, y) => (y.totalMatches - x.totalMatches) || (y.winRate - x.winRate));
+  players.sort((x, y) => (y.totalMatches - x.totalMatches) || (y.winRate - x.winRate));
+
+  return { used, skipped, internal, players };
+}
+
+// Meetings of every pair of wallets, for comparing any two (the per-wallet
+// lists above keep only the TOP_N opponents). Pair keys are the two wallets
+// sorted and joined with "|"; roundOf(match) gives { round, roundName } or null.
+function buildHeadToHead(matches, roundOf) {
+  const pairs = new Map();
+  let skipped = 0;
+
+  const ordered = [...matches].sort((x, y) => (x.blockNumber ?? 0) - (y.blockNumber ?? 0) || (x.logIndex ?? 0) - (y.logIndex ?? 0));
+  for (const m of ordered) {
+    const pA = normAddr(m.playerA);
+    const pB = normAddr(m.playerB);
+    const w = normAddr(m.winner);
+    if (!pA || !pB || pA === pB || (w !== pA && w !== pB)) {
+      skipped++;
+      continue;
+    }
+
+    const [a, b] = [pA, pB].sort();
+    const key = `${a}|${b}`;
+    if (!pairs.has(key)) pairs.set(key, { a, b, aWins: 0, bWins: 0, tournaments: [], lastMeeting: null, meetings: [] });
+    const pair = pairs.get(key);
+
+    const tournamentId = Number(m.matchId);
+    const where = roundOf(m);
+    const meeting = {
+      tournamentId,
+      round: where?.round ?? null,
+      roundName: where?.roundName ?? null,
+      winner: w,
+      blockNumber: m.blockNumber ?? null,
+      txHash: m.txHash ?? null,
+    };
+    if (w === a) pair.aWins++;
+    else pair.bWins++;
+    if (!pair.tournaments.includes(tournamentId)) pair.tournaments.push(tournamentId);
+    pair.meetings.push(meeting);
+    pair.lastMeeting = meeting;
+  }
+
+  return { pairs, skipped };
+}
+
+// txHash|playerA|playerB -> { round, roundName } from tournament-brackets.json;
+// the bronze match has no round number.
+function bracketRounds(bracketsDoc) {
+  const out = new Map();
+  const key = (txHash, pA, pB) => `${normAddr(txHash)}|${[normAddr(pA), normAddr(pB)].sort().join("|")}`;
+  for (const b of Object.values(bracketsDoc?.brackets || {})) {
+    for (const r of b.rounds || []) {
+      for (const m of r.matches || []) {
+        if (m.played && m.txHash) out.set(key(m.txHash, m.playerA, m.playerB), { round: r.round, roundName: r.name });
+      }
+    }
+    if (b.bronze?.txHash) out.set(key(b.bronze.txHash, b.bronze.playerA, b.bronze.playerB), { round: null, roundName: "Bronze match" });
+  }
+  return (m) => out.get(key(m.txHash, m.playerA, m.playerB)) || null;
+}
+
+async function main() {
+  const ROOT = process.cwd();
+  const matchesPath = path.join(ROOT, "public", "matches.json");
+
+  // Tunables (env override)
+  const cfg = {
+    TOP_N: Number(process.env.TOP_N || 3),
+
+    // Competitive filter
+    MIN_MATCHES: Number(process.env.MIN_MATCHES || 20),
+    MIN_WINRATE: Number(process.env.MIN_WINRATE || 0.05),
+    MAX_WINRATE: Number(process.env.MAX_WINRATE || 0.95),
+
+    // System-ish classifier (separate file)
+    MIN_MATCHES_SYSTEMISH: Number(process.env.MIN_MATCHES_SYSTEMISH || 50),
+    SYSTEMISH_WINRATE_HIGH: Number(process.env.SYSTEMISH_WINRATE_HIGH || 0.98),
+    SYSTEMISH_WINRATE_LOW: Number(process.env.SYSTEMISH_WINRATE_LOW || 0.02),
+  };
+
+  const raw = JSON.parse(await fs.readFile(matchesPath, "utf8"));
+  const matches = raw.matches || [];
+  if (!Array.isArray(matches)) {
+    throw new Error(`matches.json missing "matches" array: ${matchesPath}`);
+  }
+
+  const { used, skipped, players: allPlayers } = tallyMatches(matches, normAddr, cfg);
 
   // Split into competitive vs system-ish vs other
   const competitive = [];
@@ -224,12 +297,64 @@ async function main() {
   await fs.writeFile(path.join(ROOT, "public", "rivalries.system.json"), JSON.stringify(outSystem, null, 2) + "\n", "utf8");
   await fs.writeFile(path.join(ROOT, "public", "rivalries.other.json"), JSON.stringify(outOther, null, 2) + "\n", "utf8");
 
+  // Per-player view: linked wallets (scripts/identities.js) count as one side.
+  // `wallet` and `opp` are an identity id for linked players, a wallet otherwise.
+  const { identities, byWallet } = loadIdentities();
+  const byIdentity = tallyMatches(matches, (w) => identityKey(byWallet, w), cfg);
+  const identityById = new Map(identities.map((i) => [i.id, i]));
+  const outIdentities = {
+    generatedAtUtc: nowIso(),
+    source: "public/matches.json + public/identities.json",
+    thresholds: cfg,
+    usedMatches: byIdentity.used,
+    skippedMatches: byIdentity.skipped,
+    internalMatches: byIdentity.internal,
+    players: byIdentity.players.map((p) => {
+      const identity = identityById.get(p.wallet);
+      return { ...p, identity: identity?.id ?? null, name: identity?.name ?? null, wallets: identity?.wallets ?? [p.wallet] };
+    }),
+  };
+  await fs.writeFile(path.join(ROOT, "public", "rivalries.identities.json"), JSON.stringify(outIdentities, null, 2) + "\n", "utf8");
+
+  // Full pairwise index; rounds come from the bracket trees when build-tournament-results.js has run.
+  let bracketsDoc = null;
+  try {
+    bracketsDoc = JSON.parse(await fs.readFile(path.join(ROOT, "public", "tournament-brackets.json"), "utf8"));
+  } catch {
+    console.warn("public/tournament-brackets.json not found; head-to-head meetings get no round");
+  }
+  const h2h = buildHeadToHead(matches, bracketRounds(bracketsDoc));
+  const pairs = [...h2h.pairs.entries()].sort((x, y) => x[0].localeCompare(y[0]));
+  const outHeadToHead = {
+    generatedAtUtc: nowIso(),
+    source: bracketsDoc ? "public/matches.json + public/tournament-brackets.json" : "public/matches.json",
+    counts: {
+      pairs: pairs.length,
+      meetings: pairs.reduce((s, [, p]) => s + p.meetings.length, 0),
+      skippedMatches: h2h.skipped,
+    },
+    notes: [
+      "pairs is keyed by the two wallets, lowercased, sorted and joined with \"|\"; aWins/bWins follow that order.",
+      "meetings[] are in chain order; round is the bracket round (1 = first) and roundName its name, null when the bracket has no slot for the match.",
+      "Matches without a winner among the two players are left out (skippedMatches).",
+    ],
+    pairs: Object.fromEntries(pairs),
+  };
+  // Compact like tournament-brackets.json: the site fetches it only when the comparison panel opens.
+  await fs.writeFile(path.join(ROOT, "public", "head-to-head.json"), JSON.stringify(outHeadToHead) + "\n", "utf8");
+
   console.log(
     `wrote public/rivalries.json (competitive): players=${competitive.length} used=${used} skipped=${skipped}`
   );
   console.log(
     `also wrote rivalries.all.json (${allPlayers.length}), rivalries.system.json (${systemish.length}), rivalries.other.json (${other.length})`
   );
+  console.log(
+    `also wrote rivalries.identities.json (${byIdentity.players.length} players, ${byIdentity.internal} internal matches left out)`
+  );
+  console.log(
+    `also wrote head-to-head.json (${outHeadToHead.counts.pairs} pairs, ${outHeadToHead.counts.meetings} meetings)`
+  );
 }
 
 main().catch((err) => {
@@ -1,18 +1,52 @@
 #!/usr/bin/env node
 import fs from "node:fs/promises";
 import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { appliedOverride, loadOverrides } from "./overrides.js";
+import { readJson } from "./utils.js";
 
+const __filename = fileURLToPath(import.meta.url);
 const ROOT = process.cwd();
 const INPUT = path.join(ROOT, "public", "matches.json");
 const OUTPUT = path.join(ROOT, "public", "tournament-results.json");
-
-// Result code meaning inferred from your data:
-// 1-4 = quarterfinals / early round
-// 5   = semifinal A
-// 6   = semifinal B
-// 7   = final
-const FINAL_CODE = 7;
-const SEMI_CODES = new Set([5, 6]);
+const BRACKETS_OUTPUT = path.join(ROOT, "public", "tournament-brackets.json");
+const FEED_XML_OUTPUT = path.join(ROOT, "public", "feed.xml");
+const FEED_JSON_OUTPUT = path.join(ROOT, "public", "feed.json");
+
+// Feeds of completed tournaments (Atom + JSON Feed 1.1):
+//   FEED_DAYS          only tournaments completed in the last N days (default 30)
+//   FEED_MAX_ENTRIES   newest N at most (default 50)
+//   FEED_SITE_URL      site base URL for links (falls back to NOTIFY_SITE_URL;
+//                      without one, entries link to the game's tournament page
+//                      and a warning is printed; update-data.yml always sets it)
+const FEED = {
+  DAYS: Number(process.env.FEED_DAYS || 30),
+  MAX_ENTRIES: Number(process.env.FEED_MAX_ENTRIES || 50),
+  SITE_URL: String(process.env.FEED_SITE_URL || process.env.NOTIFY_SITE_URL || "").replace(/\/+$/, ""),
+};
+const FEED_TITLE = "DFK Tournament Leaderboard: completed tournaments";
+
+// Third place. The two semifinal losers stay tied unless a rule from
+// THIRD_PLACE_RULES (comma-separated, tried in order; default "bronze")
+// separates them:
+//   bronze       a match between the two of them (bronze match) decides it
+//   quickerLoss  the semifinal decided first: its loser takes 4th
+//   rating       higher rating before the semifinal, from
+//                public/ratings-history.json (left by the previous run)
+//   record       more match wins earlier in this tournament (byes count nothing)
+// placements.thirdPlaceMethod records the rule that decided, or null if tied.
+const THIRD_PLACE_RULE_NAMES = ["bronze", "quickerLoss", "rating", "record"];
+const THIRD_PLACE_RULES = String(process.env.THIRD_PLACE_RULES || "bronze")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+for (const rule of THIRD_PLACE_RULES) {
+  if (!THIRD_PLACE_RULE_NAMES.includes(rule)) {
+    throw new Error(`THIRD_PLACE_RULES: unknown rule "${rule}" (use ${THIRD_PLACE_RULE_NAMES.join(", ")})`);
+  }
+}
+const RATINGS_HISTORY_INPUT = path.join(ROOT, "public", "ratings-history.json");
+const INITIAL_RATING = 1500;
 
 function short(addr) {
   if (!addr) return null;
@@ -45,7 +79,7 @@ function detectBracketSize(matches) {
   return uniquePlayers.length;
 }
 
-function sortMatchesChronologically(matches) {
+export function sortMatchesChronologically(matches) {
   return [...matches].sort((a, b) => {
     if ((a.blockNumber ?? 0) !== (b.blockNumber ?? 0)) {
       return (a.blockNumber ?? 0) - (b.blockNumber ?? 0);
@@ -54,64 +88,343 @@ function sortMatchesChronologically(matches) {
   });
 }
 
-function buildTournamentResult(matchId, matches) {
-  const ordered = sortMatchesChronologically(matches);
-  const bracketSize = detectBracketSize(ordered);
+// resultCode is the match's slot in the bracket, numbered leaves-first: with
+// capacity C, round 1 is codes 1..C/2, round 2 the next C/4, ... the
+// semifinals are C-3 and C-2 and the final is C-1. Match (round r, position i)
+// is fed by round r-1 positions 2i and 2i+1. Slots with no match are byes (or
+// not played yet).
+//
+// C is the smallest power of two that holds both the entrants and the highest
+// slot seen, so 16-player fields and fields with byes are read the same way as
+// full 8-player ones, and a bracket whose later rounds are not played yet is
+// not mistaken for a smaller one.
+//
+// Issues (issues[] in both outputs) carry a code:
+//   BAD_RESULT_CODE       resultCode is not a slot number
+//   DUPLICATE_SLOT        two matches for one slot (the later one is kept)
+//   WINNER_UNKNOWN        a played match without a decoded winner
+//   WINNER_NOT_IN_MATCH   the decoded winner is neither player
+//   WINNER_NOT_ADVANCED   a slot's winner does not appear in the slot it feeds
+//   ROUND_INCOMPLETE      a round still has matches to play (unfinished bracket)
+//   MATCH_COUNT_MISMATCH  a finished bracket without exactly entrants - 1 matches
+function bracketCapacity(maxCode, entrants) {
+  let capacity = 2;
+  while (capacity - 1 < maxCode || capacity < entrants) capacity *= 2;
+  return capacity;
+}
+
+function issue(code, message) {
+  return { code, message };
+}
+
+function roundName(matchesInRound) {
+  if (matchesInRound === 1) return "Final";
+  if (matchesInRound === 2) return "Semifinals";
+  if (matchesInRound === 4) return "Quarterfinals";
+  return `Round of ${matchesInRound * 2}`;
+}
 
-  const finalMatch = ordered.find((m) => m.resultCode === FINAL_CODE);
-  const semiMatches = ordered.filter((m) => SEMI_CODES.has(m.resultCode));
+// A bronze match is the one match where both players had already lost: in
+// single elimination nobody else plays after a loss. It has no slot.
+function findBronzeMatch(ordered) {
+  return (
+    ordered.find((m, i) => {
+      const earlierLosers = new Set(ordered.slice(0, i).map((x) => otherPlayer(x, x.winner)).filter(Boolean));
+      return m.playerA && m.playerB && earlierLosers.has(m.playerA) && earlierLosers.has(m.playerB);
+    }) || null
+  );
+}
 
+/**
+ * Bracket tree for one tournament from its matches in chain order (see
+ * sortMatchesChronologically). Also used by live-tournaments.js for the
+ * brackets still being played.
+ */
+export function buildBracket(matchId, ordered) {
   const issues = [];
+  const bronze = findBronzeMatch(ordered);
+  const byCode = new Map();
+  for (const m of ordered) {
+    if (m === bronze) continue;
+    const code = Number(m.resultCode);
+    if (!Number.isInteger(code) || code < 1) {
+      issues.push(issue("BAD_RESULT_CODE", `Unusable resultCode ${m.resultCode} in tx ${m.txHash}.`));
+      continue;
+    }
+    if (byCode.has(code)) issues.push(issue("DUPLICATE_SLOT", `Duplicate match for slot ${code}; keeping the later one.`));
+    byCode.set(code, m);
+  }
+
+  const entrants = detectBracketSize(ordered);
+  const maxCode = Math.max(1, ...byCode.keys());
+  const capacity = bracketCapacity(maxCode, entrants);
+  const roundCount = Math.log2(capacity);
+
+  const rounds = [];
+  for (let r = 1; r <= roundCount; r++) {
+    const count = capacity / 2 ** r;
+    const start = capacity - capacity / 2 ** (r - 1) + 1;
+    const matches = [];
+
+    for (let i = 0; i < count; i++) {
+      const code = start + i;
+      const feeds = r === 1 ? [] : [rounds[r - 2].startCode + 2 * i, rounds[r - 2].startCode + 2 * i + 1];
+      const m = byCode.get(code);
+
+      if (m) {
+        const winner = normalizeAddress(m.winner);
+        matches.push({
+          slot: code,
+          position: i,
+          played: true,
+          bye: false,
+          playerA: m.playerA,
+          playerB: m.playerB,
+          winner,
+          loser: winner ? otherPlayer(m, winner) : null,
+          feeds,
+          blockNumber: m.blockNumber ?? null,
+          txHash: m.txHash ?? null,
+          logIndex: m.logIndex ?? null,
+        });
+      } else {
+        matches.push({ slot: code, position: i, played: false, bye: false, playerA: null, playerB: null, winner: null, loser: null, feeds });
+      }
+    }
 
-  if (!finalMatch) {
-    issues.push("Missing final match (resultCode 7).");
+    rounds.push({ round: r, name: roundName(count), startCode: start, matches });
   }
 
-  if (semiMatches.length === 0) {
-    issues.push("No semifinal matches found (resultCode 5/6).");
+  // Fill unplayed slots from the match they feed: a player who shows up in the
+  // next round without a match here got a bye.
+  for (let r = roundCount - 1; r >= 1; r--) {
+    for (const parent of rounds[r].matches) {
+      if (!parent.played) continue;
+      const [left, right] = parent.feeds.map((code) => rounds[r - 1].matches[code - rounds[r - 1].startCode]);
+      const inParent = [parent.playerA, parent.playerB];
+      const fromPlayed = new Set([left, right].filter((c) => c.played && c.winner).map((c) => c.winner));
+      const unclaimed = inParent.filter((p) => p && !fromPlayed.has(p));
+
+      for (const child of [left, right]) {
+        if (child.played) {
+          if (child.winner && !inParent.includes(child.winner)) {
+            issues.push(issue("WINNER_NOT_ADVANCED", `Winner of slot ${child.slot} does not appear in slot ${parent.slot}.`));
+          }
+          continue;
+        }
+        const advancing = unclaimed.shift() ?? null;
+        if (!advancing) continue;
+        Object.assign(child, { bye: true, playerA: advancing, winner: advancing });
+      }
+    }
   }
 
-  const finalWinner = normalizeAddress(finalMatch?.winner);
-  const first = finalWinner || null;
-  const second = finalMatch && finalWinner ? otherPlayer(finalMatch, finalWinner) : null;
+  for (const round of rounds) {
+    for (const m of round.matches) {
+      if (!m.played) continue;
+      if (!m.winner) issues.push(issue("WINNER_UNKNOWN", `${round.name} slot ${m.slot} has no decoded winner.`));
+      else if (!m.loser) issues.push(issue("WINNER_NOT_IN_MATCH", `${round.name} slot ${m.slot}: the winner is neither player.`));
+    }
+  }
 
-  if (finalMatch && !finalWinner) {
-    issues.push("Final winner is null. Winner decoder likely still broken.");
+  const final = rounds[roundCount - 1].matches[0];
+  const champion = final.played ? final.winner : null;
+
+  // Matches each round should have: byes fill the first rounds, so with k
+  // players left and s slots a round plays max(0, k - s) matches. A finished
+  // bracket must match this round by round; an unfinished one reports the
+  // rounds still short of it.
+  let left = entrants;
+  for (const round of rounds) {
+    const expected = Math.max(0, left - round.matches.length);
+    const played = round.matches.filter((m) => m.played).length;
+    left -= expected;
+    Object.assign(round, { played, expected });
+    if (played === expected) continue;
+    if (champion || played > expected) {
+      issues.push(issue("MATCH_COUNT_MISMATCH", `${round.name}: ${played} matches played, ${expected} expected for ${entrants} entrants.`));
+    } else {
+      issues.push(issue("ROUND_INCOMPLETE", `${round.name}: ${played} of ${expected} matches played.`));
+    }
   }
 
-  const semifinalLosers = semiMatches
-    .map((m) => {
-      const winner = normalizeAddress(m.winner);
-      if (!winner) {
-        issues.push(`Semifinal resultCode ${m.resultCode} winner is null.`);
-        return null;
+  // How far each player got; the champion has no elimination round.
+  const reached = new Map();
+  for (const round of rounds) {
+    for (const m of round.matches) {
+      for (const p of [m.playerA, m.playerB]) {
+        if (!p) continue;
+        const cur = reached.get(p) || { wallet: p, roundReached: round.round, eliminatedInRound: null, eliminatedBy: null };
+        cur.roundReached = Math.max(cur.roundReached, round.round);
+        if (m.played && m.loser === p) {
+          cur.eliminatedInRound = round.round;
+          cur.eliminatedBy = m.winner;
+        }
+        reached.set(p, cur);
       }
+    }
+  }
 
-      const loser = otherPlayer(m, winner);
-      if (!loser) {
-        issues.push(`Could not determine loser for semifinal resultCode ${m.resultCode}.`);
-        return null;
-      }
+  const outAt = (p) => p.eliminatedInRound ?? Infinity;
+  const players = [...reached.values()].sort((a, b) => outAt(b) - outAt(a) || a.wallet.localeCompare(b.wallet));
+
+  return {
+    tournamentId: Number(matchId),
+    capacity,
+    bracketSize: players.length,
+    champion,
+    bronze: bronze
+      ? { playerA: bronze.playerA, playerB: bronze.playerB, winner: normalizeAddress(bronze.winner), blockNumber: bronze.blockNumber ?? null, txHash: bronze.txHash ?? null }
+      : null,
+    rounds: rounds.map(({ startCode, ...round }) => round),
+    players,
+    issues,
+  };
+}
+
+/** wallet -> [{ block, rating }] from the previous run's ratings-history.json (empty if missing). */
+function loadRatingHistory() {
+  const out = new Map();
+  for (const [w, rows] of Object.entries(readJson(RATINGS_HISTORY_INPUT, {})?.players || {})) {
+    const wallet = normalizeAddress(w);
+    if (wallet && Array.isArray(rows)) out.set(wallet, rows.map(([block, rating]) => ({ block, rating })));
+  }
+  return out;
+}
+
+function ratingBefore(ratingHistory, wallet, blockNumber) {
+  let rating = INITIAL_RATING;
+  for (const h of ratingHistory.get(wallet) || []) {
+    if (h.block >= blockNumber) break;
+    rating = h.rating;
+  }
+  return rating;
+}
+
+/**
+ * Separate the two semifinal losers with THIRD_PLACE_RULES.
+ * losers: [{ wallet, semi }] with semi an entry of `ordered`.
+ * Returns { third, fourth, method, bronzeMatch } or null when they stay tied.
+ */
+function resolveThirdPlace(losers, ordered, ratingHistory) {
+  if (losers.length !== 2) return null;
+  const [a, b] = losers;
+  const higher = (scoreA, scoreB) => (scoreA > scoreB ? a.wallet : scoreB > scoreA ? b.wallet : null);
+  const orderOf = (m) => ordered.indexOf(m);
+  let bronzeMatch = null;
+
+  const rules = {
+    bronze: () => {
+      bronzeMatch =
+        ordered.find((m) => {
+          const pair = [m.playerA, m.playerB];
+          return pair.includes(a.wallet) && pair.includes(b.wallet) && pair.includes(normalizeAddress(m.winner));
+        }) || null;
+      return bronzeMatch ? normalizeAddress(bronzeMatch.winner) : null;
+    },
+    quickerLoss: () => higher(orderOf(a.semi), orderOf(b.semi)),
+    rating: () =>
+      ratingHistory.size
+        ? higher(
+            ratingBefore(ratingHistory, a.wallet, a.semi.blockNumber ?? 0),
+            ratingBefore(ratingHistory, b.wallet, b.semi.blockNumber ?? 0)
+          )
+        : null,
+    record: () => {
+      const winsBefore = (p) => ordered.filter((m) => orderOf(m) < orderOf(p.semi) && normalizeAddress(m.winner) === p.wallet).length;
+      return higher(winsBefore(a), winsBefore(b));
+    },
+  };
+
+  for (const method of THIRD_PLACE_RULES) {
+    const third = rules[method]();
+    if (!third) continue;
+    return {
+      third,
+      fourth: third === a.wallet ? b.wallet : a.wallet,
+      method,
+      bronzeMatch: method === "bronze" ? bronzeMatch : null,
+    };
+  }
+  return null;
+}
+
+// Finishing band of a player knocked out in `round` of a bracket with
+// `roundCount` rounds: the final gives 2, the semifinals 3-4, then 5-8, 9-16...
+function finishBand(roundCount, round) {
+  const max = 2 ** (roundCount - round + 1);
+  const min = max / 2 + 1;
+  return min === max ? String(min) : `${min}-${max}`;
+}
+
+/**
+ * Every entrant's finishing band, from the bracket tree, as
+ * [{ band, wallets }] best band first (elimination rounds and who knocked
+ * whom out stay in tournament-brackets.json).
+ * Podium placements (which overrides.json may have corrected) decide the top
+ * bands; players still in a running tournament are grouped under band null, last.
+ */
+function buildLadder(bracket, placements) {
+  const roundCount = bracket.rounds.length;
+  const podiumBand = new Map([
+    [placements.first, "1"],
+    [placements.second, "2"],
+    ...placements.thirds.map((w) => [w, "3-4"]),
+    [placements.fourth, "3-4"],
+  ].filter(([w]) => w));
+
+  const byBand = new Map();
+  for (const p of bracket.players) {
+    const band =
+      podiumBand.get(p.wallet) ??
+      (p.eliminatedInRound != null ? finishBand(roundCount, p.eliminatedInRound) : p.wallet === bracket.champion && !placements.first ? "1" : null);
+    if (!byBand.has(band)) byBand.set(band, []);
+    byBand.get(band).push(p.wallet);
+  }
+
+  const bandStart = (band) => (band ? Number(band.split("-")[0]) : Infinity);
+  return [...byBand.entries()]
+    .sort(([a], [b]) => bandStart(a) - bandStart(b))
+    .map(([band, wallets]) => ({ band, wallets: wallets.sort() }));
+}
+
+function buildTournamentResult(matchId, matches, ratingHistory, bracket) {
+  const ordered = sortMatchesChronologically(matches);
+  const bracketSize = bracket.bracketSize;
 
-      return loser;
-    })
-    .filter(Boolean);
+  // Final and semifinal slots follow from the bracket's capacity; problems
+  // with them are already in the bracket's issues.
+  const bronze = findBronzeMatch(ordered);
+  const rowAt = (code) => ordered.findLast((m) => m !== bronze && Number(m.resultCode) === code) || null;
+  const finalMatch = rowAt(bracket.capacity - 1);
+  const semiMatches = bracket.capacity >= 4 ? [bracket.capacity - 3, bracket.capacity - 2].map(rowAt).filter(Boolean) : [];
+  const issues = [...bracket.issues];
 
-  const thirds = unique(semifinalLosers);
+  const first = bracket.champion;
+  const second = finalMatch && first ? otherPlayer(finalMatch, first) : null;
 
-  // In standard single elimination with no bronze match, semifinal losers are tied for 3rd.
+  const semifinalLosers = semiMatches
+    .map((m) => ({ wallet: otherPlayer(m, m.winner), semi: m }))
+    .filter((l) => l.wallet);
+
+  // With no bronze match or tiebreak rule, semifinal losers are tied for 3rd.
+  const resolved = resolveThirdPlace(semifinalLosers, ordered, ratingHistory);
+  const thirds = resolved ? [resolved.third] : unique(semifinalLosers.map((l) => l.wallet));
   const hasUniqueThird = thirds.length === 1;
 
   return {
     tournamentId: Number(matchId),
     bracketSize,
+    capacity: bracket.capacity,
     totalMatches: ordered.length,
     placements: {
       first,
       second,
-      // Keep both because your current match data does not include a unique bronze match.
+      // Always a list: both semifinal losers while they are tied.
       thirds,
       hasUniqueThird,
+      fourth: resolved?.fourth ?? null,
+      thirdPlaceMethod: resolved?.method ?? null,
     },
     final: finalMatch
       ? {
@@ -124,6 +437,15 @@ function buildTournamentResult(matchId, matches) {
           txHash: finalMatch.txHash ?? null,
         }
       : null,
+    bronze: resolved?.bronzeMatch
+      ? {
+          resultCode: resolved.bronzeMatch.resultCode,
+          winner: resolved.third,
+          loser: resolved.fourth,
+          blockNumber: resolved.bronzeMatch.blockNumber ?? null,
+          txHash: resolved.bronzeMatch.txHash ?? null,
+        }
+      : null,
     semifinals: semiMatches.map((m) => {
       const winner = normalizeAddress(m.winner);
       return {
@@ -136,11 +458,132 @@ function buildTournamentResult(matchId, matches) {
         txHash: m.txHash ?? null,
       };
     }),
-    status: issues.length ? "incomplete" : "complete",
+    status: first && second && (thirds.length || bracket.capacity < 4) && !issues.length ? "complete" : "incomplete",
     issues,
   };
 }
 
+function escXml(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+/**
+ * Completed tournaments for the feeds, newest first. Completion time is the
+ * on-chain win timestamp from leaderboard.json; tournaments without one (older
+ * than the win scan) cannot be placed in the window and are left out.
+ */
+function feedEntries(tournaments, nowMs = Date.now()) {
+  const leaderboard = readJson(path.join(ROOT, "public", "leaderboard.json"), {});
+  const ranges = readJson(path.join(ROOT, "public", "tournamentRanges.json"), {})?.rangesByTournamentId || {};
+  const profiles = readJson(path.join(ROOT, "public", "profiles.json"), {});
+
+  const wonAt = new Map();
+  const winTier = new Map();
+  for (const w of Array.isArray(leaderboard?.wins) ? leaderboard.wins : []) {
+    const tid = Number(w.tournamentId);
+    if (Number.isFinite(Number(w.timestamp))) wonAt.set(tid, Number(w.timestamp));
+    if (w.tier === 10 || w.tier === 20) winTier.set(tid, w.tier);
+  }
+  const nameOf = (w) => (w ? profiles?.aliasesByAddress?.[w]?.name || profiles?.namesByAddress?.[w] || short(w) : null);
+
+  const sinceSec = nowMs / 1000 - FEED.DAYS * 24 * 3600;
+  return tournaments
+    .filter((t) => t.status === "complete" && wonAt.get(t.tournamentId) >= sinceSec)
+    .sort((a, b) => wonAt.get(b.tournamentId) - wonAt.get(a.tournamentId) || b.tournamentId - a.tournamentId)
+    .slice(0, FEED.MAX_ENTRIES)
+    .map((t) => {
+      const id = t.tournamentId;
+      const tier = ranges[String(id)]?.tier ?? winTier.get(id) ?? null;
+      const p = t.placements;
+      const player = (w) => ({ wallet: w, name: nameOf(w) });
+      return {
+        tournamentId: id,
+        completedAtUtc: new Date(wonAt.get(id) * 1000).toISOString(),
+        bracketSize: t.bracketSize,
+        tier: tier === 10 || tier === 20 ? tier : null,
+        first: player(p.first),
+        second: player(p.second),
+        thirds: p.thirds.map(player),
+        fourth: p.fourth ? player(p.fourth) : null,
+        url: FEED.SITE_URL ? `${FEED.SITE_URL}/#/tournament/${id}` : `https://game.defikingdoms.com/registry/tournaments/${id}`,
+      };
+    });
+}
+
+function feedTitle(e) {
+  return `Tournament ${e.tournamentId}: ${e.first.name} wins${e.tier ? ` (Lvl ${e.tier})` : ""}`;
+}
+
+function feedPodiumLines(e) {
+  const thirdLabel = e.thirds.length > 1 ? "3rd (tied)" : "3rd";
+  return [
+    `1st: ${e.first.name}`,
+    `2nd: ${e.second.name}`,
+    ...(e.thirds.length ? [`${thirdLabel}: ${e.thirds.map((p) => p.name).join(", ")}`] : []),
+    ...(e.fourth ? [`4th: ${e.fourth.name}`] : []),
+    `${e.bracketSize} players${e.tier ? `, Lvl ${e.tier}` : ""}`,
+  ];
+}
+
+function toAtom(entries, generatedAtUtc) {
+  const self = FEED.SITE_URL ? `\n  <link rel="self" href="${escXml(`${FEED.SITE_URL}/public/feed.xml`)}"/>` : "";
+  const site = FEED.SITE_URL ? `\n  <link rel="alternate" type="text/html" href="${escXml(`${FEED.SITE_URL}/`)}"/>` : "";
+  const items = entries.map((e) => {
+    const html = `<ul>${feedPodiumLines(e).map((l) => `<li>${escXml(l)}</li>`).join("")}</ul>`;
+    return `  <entry>
+    <id>urn:dfk-tournament-leaderboard:tournament:${e.tournamentId}</id>
+    <title>${escXml(feedTitle(e))}</title>
+    <link rel="alternate" type="text/html" href="${escXml(e.url)}"/>
+    <updated>${e.completedAtUtc}</updated>
+    <published>${e.completedAtUtc}</published>${e.tier ? `\n    <category term="lvl${e.tier}" label="Lvl ${e.tier}"/>` : ""}
+    <summary type="text">${escXml(feedPodiumLines(e).join(" • "))}</summary>
+    <content type="html">${escXml(html)}</content>
+  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>urn:dfk-tournament-leaderboard:feed:tournaments</id>
+  <title>${escXml(FEED_TITLE)}</title>
+  <updated>${entries[0]?.completedAtUtc ?? generatedAtUtc}</updated>
+  <author><name>DFK Tournament Leaderboard</name></author>${self}${site}
+${items.join("\n")}${items.length ? "\n" : ""}</feed>
+`;
+}
+
+function toJsonFeed(entries) {
+  return {
+    version: "https://jsonfeed.org/version/1.1",
+    title: FEED_TITLE,
+    ...(FEED.SITE_URL ? { home_page_url: `${FEED.SITE_URL}/`, feed_url: `${FEED.SITE_URL}/public/feed.json` } : {}),
+    description: `Tournaments completed in the last ${FEED.DAYS} days, newest first.`,
+    authors: [{ name: "DFK Tournament Leaderboard" }],
+    items: entries.map((e) => ({
+      id: `urn:dfk-tournament-leaderboard:tournament:${e.tournamentId}`,
+      url: e.url,
+      title: feedTitle(e),
+      content_text: feedPodiumLines(e).join("\n"),
+      content_html: `<ul>${feedPodiumLines(e).map((l) => `<li>${escXml(l)}</li>`).join("")}</ul>`,
+      date_published: e.completedAtUtc,
+      tags: e.tier ? [`Lvl ${e.tier}`] : [],
+      // Structured copy for bots; JSON Feed extensions start with an underscore.
+      _tournament: {
+        tournamentId: e.tournamentId,
+        bracketSize: e.bracketSize,
+        tier: e.tier,
+        first: e.first,
+        second: e.second,
+        thirds: e.thirds,
+        fourth: e.fourth,
+      },
+    })),
+  };
+}
+
 async function main() {
   const raw = await fs.readFile(INPUT, "utf8");
   const parsed = JSON.parse(raw);
@@ -163,10 +606,54 @@ async function main() {
     });
   }
 
+  // overrides.json: excluded tournaments are dropped from both outputs, and
+  // placement corrections replace what the matches say (the derived ones are kept).
+  const overrides = loadOverrides();
+  const overridesApplied = [];
+  for (const [tid, entry] of overrides.excludedTournaments) {
+    const key = [...grouped.keys()].find((id) => String(id) === tid);
+    if (key === undefined) continue;
+    overridesApplied.push(appliedOverride("excludedTournament", tid, { matchesDropped: grouped.get(key).length }, entry));
+    grouped.delete(key);
+  }
+
+  // Bracket trees first: placements and every tournament's ladder are read off its tree.
+  const brackets = [...grouped.entries()]
+    .map(([matchId, rows]) => buildBracket(matchId, sortMatchesChronologically(rows)))
+    .sort((a, b) => a.tournamentId - b.tournamentId);
+  const bracketById = new Map(brackets.map((b) => [b.tournamentId, b]));
+
+  const ratingHistory = THIRD_PLACE_RULES.includes("rating") ? loadRatingHistory() : new Map();
   const tournaments = [...grouped.entries()]
-    .map(([matchId, rows]) => buildTournamentResult(matchId, rows))
+    .map(([matchId, rows]) => buildTournamentResult(matchId, rows, ratingHistory, bracketById.get(Number(matchId))))
     .sort((a, b) => a.tournamentId - b.tournamentId);
 
+  for (const t of tournaments) {
+    const fix = overrides.placements.get(String(t.tournamentId));
+    if (!fix) continue;
+    const derived = t.placements;
+    const fixesThird = fix.thirds.length > 0 || fix.fourth != null;
+    t.placements = {
+      first: fix.first ?? derived.first,
+      second: fix.second ?? derived.second,
+      thirds: fix.thirds.length ? fix.thirds : derived.thirds,
+    };
+    t.placements.hasUniqueThird = t.placements.thirds.length === 1;
+    // overrides.js only accepts a fourth next to a single third; a derived fourth
+    // is dropped too once the thirds end up tied.
+    t.placements.fourth = !t.placements.hasUniqueThird ? null : fixesThird ? fix.fourth : derived.fourth;
+    t.placements.thirdPlaceMethod = fixesThird ? "override" : derived.thirdPlaceMethod;
+    t.derivedPlacements = derived;
+    if (t.placements.first && t.placements.second && t.placements.thirds.length) t.status = "complete";
+    overridesApplied.push(appliedOverride("placements", t.tournamentId, { placements: t.placements }, fix));
+  }
+
+  for (const t of tournaments) {
+    const bracket = bracketById.get(t.tournamentId);
+    t.rounds = bracket.rounds.length;
+    t.ladder = buildLadder(bracket, t.placements);
+  }
+
   const summary = {
     generatedAtUtc: new Date().toISOString(),
     sourceFile: "public/matches.json",
@@ -174,10 +661,17 @@ async function main() {
     totalTournaments: tournaments.length,
     completeTournaments: tournaments.filter((t) => t.status === "complete").length,
     incompleteTournaments: tournaments.filter((t) => t.status !== "complete").length,
+    thirdPlaceRules: THIRD_PLACE_RULES,
+    thirdPlaceResolved: Object.fromEntries(
+      [...THIRD_PLACE_RULE_NAMES, "override"].map((m) => [m, tournaments.filter((t) => t.placements.thirdPlaceMethod === m).length])
+    ),
+    overridesApplied,
     notes: [
       "This file reconstructs tournament placements from matches.json.",
-      "Current match data appears to use resultCode 7 as final and 5/6 as semifinals.",
-      "Third place is represented as tied semifinal losers unless a bronze-match source is added later.",
+      "resultCode is the bracket slot: the final is slot capacity-1 and the semifinals capacity-3 and capacity-2 (capacity 8: 7, 5 and 6).",
+      "issues[] entries are { code, message }; the codes are listed in scripts/build-tournament-results.js.",
+      "Third place: semifinal losers stay tied in thirds[] unless a THIRD_PLACE_RULES rule separates them; then thirds[] holds the 3rd and placements.fourth the 4th.",
+      "ladder[] groups every entrant by finishing band, best first: { band: 1, 2, 3-4, 5-8, 9-16, ..., wallets[] }; band null (last) is still in. Elimination rounds are in tournament-brackets.json.",
     ],
   };
 
@@ -186,13 +680,44 @@ async function main() {
     tournaments,
   };
 
-  await fs.writeFile(OUTPUT, JSON.stringify(output, null, 2), "utf8");
+  // Unindented: the site loads this file on every page view.
+  await fs.writeFile(OUTPUT, JSON.stringify(output), "utf8");
 
   console.log(`Wrote ${OUTPUT}`);
   console.log(`Total tournaments: ${summary.totalTournaments}`);
   console.log(`Complete: ${summary.completeTournaments}`);
   console.log(`Incomplete: ${summary.incompleteTournaments}`);
 
+  const entries = feedEntries(tournaments);
+  await fs.writeFile(FEED_XML_OUTPUT, toAtom(entries, summary.generatedAtUtc), "utf8");
+  await fs.writeFile(FEED_JSON_OUTPUT, JSON.stringify(toJsonFeed(entries), null, 2), "utf8");
+  if (!FEED.SITE_URL) {
+    console.warn("FEED_SITE_URL/NOTIFY_SITE_URL not set; feed entries link to the game's tournament pages instead of this site");
+  }
+  console.log(`Wrote ${FEED_XML_OUTPUT} and feed.json (${entries.length} tournaments from the last ${FEED.DAYS} days)`);
+
+  // Full bracket trees go in their own file; the site only loads it when a bracket is opened.
+  const bracketsOutput = {
+    summary: {
+      generatedAtUtc: summary.generatedAtUtc,
+      sourceFile: "public/matches.json",
+      sourceUpdatedAtUtc: summary.sourceUpdatedAtUtc,
+      totalBrackets: brackets.length,
+      bracketsWithIssues: brackets.filter((b) => b.issues.length).length,
+      overridesApplied: overridesApplied.filter((o) => o.type === "excludedTournament"),
+      notes: [
+        "resultCode is read as the bracket slot: round 1 is slots 1..capacity/2 and the final is slot capacity-1.",
+        "capacity is the smallest power of two that holds both the entrants and the highest slot played.",
+        "Unplayed slots whose player appears in the next round are marked as byes.",
+        "A match between two players who had both already lost is the bronze match; it has no slot.",
+      ],
+    },
+    brackets: Object.fromEntries(brackets.map((b) => [String(b.tournamentId), b])),
+  };
+
+  await fs.writeFile(BRACKETS_OUTPUT, JSON.stringify(bracketsOutput), "utf8");
+  console.log(`Wrote ${BRACKETS_OUTPUT} (${brackets.length} brackets, ${bracketsOutput.summary.bracketsWithIssues} with issues)`);
+
   const sampleIncomplete = tournaments.find((t) => t.status !== "complete");
   if (sampleIncomplete) {
     console.log("");
@@ -212,7 +737,9 @@ async function main() {
   }
 }
 
-main().catch((err) => {
-  console.error(err);
-  process.exit(1);
-});
\ No newline at end of file
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
\ No newline at end of file
@@ -25,19 +25,22 @@
  *   set SEED_TX_L10=0x7c410f9faf35cae21b23d1ff35495237e82d500e5845e96fca361d71a9e78820
  *   set SEED_TX_L20=0x216dfd59fedd6b85bbc9548fdab5339e5f5a6f89b753cc196035b1ec80679edb
  *   node scripts/build-tournamentRanges-subgraph.js
+ *
+ * Results are recorded as the "chain-config" tier source; scripts/tier-resolver.js
+ * then writes public/tournamentRanges.json. Fallback decodes are marked medium confidence.
  */
 
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { ethers } from "ethers";
+import { recordTierSource, writeResolvedRanges } from "./tier-resolver.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const ROOT = path.resolve(__dirname, "..");
 const PUBLIC = path.join(ROOT, "public");
 const LEADERBOARD_PATH = path.join(PUBLIC, "leaderboard.json");
-const OUTPUT_PATH = path.join(PUBLIC, "tournamentRanges.json");
 
 function loadDotEnv() {
   const envPath = path.join(__dirname, ".env");
@@ -83,9 +86,6 @@ if (!SEED_TX_L20) {
 function readJson(fp) {
   return JSON.parse(fs.readFileSync(fp, "utf8"));
 }
-function writeJson(fp, obj) {
-  fs.writeFileSync(fp, JSON.stringify(obj, null, 2) + "\n", "utf8");
-}
 function extractWins(lb) {
   if (Array.isArray(lb)) return lb;
   if (lb && typeof lb === "object" && Array.isArray(lb.wins)) return lb.wins;
@@ -104,10 +104,6 @@ function decodeWords(hexData) {
   return out;
 }
 
-function tierFrom(minLevel, maxLevel) {
-  return maxLevel >= 20 ? 20 : 10;
-}
-
 function getTournamentIdFromLog(log) {
   if (!log.topics || log.topics.length < 2) return null;
   try {
@@ -211,7 +207,8 @@ function extractBracketFromLogData(words, pairIndexHint) {
   if (best) return { minLevel: best.minLevel, maxLevel: best.maxLevel };
 
   // 3) maxLevel fallback (handles 1824 and similar)
-  return extractMaxLevelFallback(words);
+  const fallback = extractMaxLevelFallback(words);
+  return fallback ? { ...fallback, method: "maxLevel-fallback", confidence: "medium" } : null;
 }
 
 async function main() {
@@ -302,8 +299,7 @@ async function main() {
         const bracket = extractBracketFromLogData(words, hint);
         if (!bracket) continue;
 
-        const tier = tierFrom(bracket.minLevel, bracket.maxLevel);
-        rangesByTournamentId[tid] = { ...bracket, tier };
+        rangesByTournamentId[tid] = bracket;
         missing.delete(tid);
 
         if (missing.size === 0) break;
@@ -317,24 +313,14 @@ async function main() {
 
   console.log(`Built ranges for ${Object.keys(rangesByTournamentId).length}/${tournamentIdsNeeded.length} tournamentIds.`);
 
-  const counts = { 10: 0, 20: 0 };
-  for (const r of Object.values(rangesByTournamentId)) counts[r.tier] = (counts[r.tier] || 0) + 1;
-  console.log("Tier counts:", counts);
-
-  const out = {
-    updatedAtUtc: new Date().toISOString(),
+  recordTierSource("chain-config", rangesByTournamentId, {
     source: "event-logs-two-seeds-with-maxLevel-fallback",
-    rpcUrl: RPC_URL,
     tournamentDiamond: TOURNAMENT_DIAMOND,
     seeds: { level10: SEED_TX_L10, level20: SEED_TX_L20 },
     discovered: { level10: det10, level20: det20, topicsToScan },
     scan: { startBlock, endBlock, blockChunk: BLOCK_CHUNK },
-    rangesByTournamentId,
-    missingTournamentIds: [...missing],
-  };
-
-  writeJson(OUTPUT_PATH, out);
-  console.log(`Wrote ${OUTPUT_PATH}`);
+  });
+  writeResolvedRanges();
 
   if (missing.size) {
     console.log(`⚠️ Still missing ${missing.size} tournamentIds (first 25): ${[...missing].slice(0, 25).join(", ")}`);
@@ -1,27 +1,40 @@
 // scripts/extract-matches-from-topic0.js
-import { ethers } from "ethers";
 import fs from "fs";
-
-const RPC_URL = process.env.RPC_URL;
-if (!RPC_URL) throw new Error("Missing RPC_URL env var");
+import { createLogClient } from "./rpc-logs.js";
 
 const DIAMOND = (
   process.env.TOURNAMENT_DIAMOND ||
   "0xc7681698B14a2381d9f1eD69FC3D27F33965b53B"
 ).toLowerCase();
 
-const MATCH_TOPIC0 = process.argv[2]?.toLowerCase();
+const ARGS = process.argv.slice(2).filter((a) => !a.startsWith("--"));
+const FLAGS = new Set(process.argv.slice(2).filter((a) => a.startsWith("--")));
+
+const MATCH_TOPIC0 = ARGS[0]?.toLowerCase();
 if (!MATCH_TOPIC0 || MATCH_TOPIC0.length !== 66) {
-  throw new Error("Usage: node scripts/extract-matches-from-topic0.js 0x<match_topic0>");
+  throw new Error("Usage: node scripts/extract-matches-from-topic0.js 0x<match_topic0> [--full]");
 }
 
+// Incremental by default: resume from the cursor stored in the previous OUT file.
+// --full (or FULL_REBUILD=1) rescans the whole LOOKBACK_BLOCKS window from scratch.
+const FULL_REBUILD = FLAGS.has("--full") || process.env.FULL_REBUILD === "1";
+
+// Blocks re-scanned below the previous cursor on every incremental run, so logs
+// from a reorged tip get replaced instead of kept.
+const REORG_MARGIN_BLOCKS = Number(process.env.REORG_MARGIN_BLOCKS || 200);
+
 const WINNER_HINT_TOPIC0 = (
   process.env.WINNER_HINT_TOPIC0 ||
   "0x9ed8f9aac14f45bbc703fe9922e91c5db62b94877aeb6384e861d8d8c75db032"
 ).toLowerCase();
 
 const OUT = process.env.OUT || "public/matches.json";
-const provider = new ethers.JsonRpcProvider(RPC_URL);
+// Accepted hint winners, kept beside OUT so the site never downloads them.
+const HINTS_OUT = process.env.HINTS_OUT || OUT.replace(/\.json$/, "") + ".hints.json";
+const CHUNK = Number(process.env.CHUNK || 5000);
+
+// Chunking, retries, RPC_URLS fallbacks and the confirmed-range cache live in rpc-logs.js.
+const client = createLogClient({ label: "extract-matches", chunkSize: CHUNK });
 
 function topicToAddress(topic) {
   if (!topic || topic.length !== 66) return null;
@@ -74,47 +87,139 @@ function normalizeAddress(addr) {
   return typeof addr === "string" ? addr.toLowerCase() : null;
 }
 
+function logKey(row) {
+  return `${String(row.txHash || "").toLowerCase()}:${row.logIndex}`;
+}
+
+function compareLogOrder(a, b) {
+  return (a.blockNumber ?? 0) - (b.blockNumber ?? 0) || (a.logIndex ?? 0) - (b.logIndex ?? 0);
+}
+
+// Returns the previous payload only when it was produced for the same contract
+// and topics; anything else forces a full rebuild.
+function loadPreviousPayload() {
+  let prev;
+  try {
+    prev = JSON.parse(fs.readFileSync(OUT, "utf8"));
+  } catch {
+    return null;
+  }
+
+  if (!prev || !Array.isArray(prev.matches)) return null;
+  if (String(prev.diamond || "").toLowerCase() !== DIAMOND) return null;
+  if (String(prev.matchTopic0 || "").toLowerCase() !== MATCH_TOPIC0) return null;
+  if (String(prev.winnerHintTopic0 || "").toLowerCase() !== WINNER_HINT_TOPIC0) return null;
+
+  return prev;
+}
+
+// Files written before the cursor existed only carry rows; the scan always ran
+// to the chain head, so the newest row block is a safe (if early) resume point.
+function previousCursor(prev) {
+  const scanned = Number(prev?.scan?.scannedToBlock);
+  if (Number.isFinite(scanned) && scanned > 0) return scanned;
+
+  let maxBlock = 0;
+  for (const m of prev?.matches || []) {
+    const b = Number(m.blockNumber);
+    if (Number.isFinite(b) && b > maxBlock) maxBlock = b;
+  }
+  return maxBlock || null;
+}
+
+function previousCoveredFrom(prev) {
+  const from = Number(prev?.scan?.fromBlock);
+  if (Number.isFinite(from)) return from;
+
+  const blocks = (prev?.matches || []).map((m) => Number(m.blockNumber)).filter(Number.isFinite);
+  return blocks.length ? Math.min(...blocks) : null;
+}
+
+// Hint winners are persisted in HINTS_OUT as { [matchId]: { [wallet]: firstSeenBlock } }
+// so an incremental run still sees hints from logs below the re-scanned window.
+// A pair first seen inside the window is dropped here and re-added if its log is
+// still on chain. Without a usable HINTS_OUT (first run after an upgrade, or the
+// file was deleted) rows keep the winner chosen earlier, but hints older than the
+// window stay unknown to new rows until a --full run rebuilds the file.
+function loadPreviousHintWinners(start) {
+  let prev;
+  try {
+    prev = JSON.parse(fs.readFileSync(HINTS_OUT, "utf8"));
+  } catch {
+    return new Map();
+  }
+  if (String(prev?.diamond || "").toLowerCase() !== DIAMOND) return new Map();
+  if (String(prev?.winnerHintTopic0 || "").toLowerCase() !== WINNER_HINT_TOPIC0) return new Map();
+  if (!(Number(prev.scannedToBlock) >= start - 1)) {
+    console.warn(`${HINTS_OUT} stops at block ${prev.scannedToBlock}; hints before ${start} may be missing (run --full)`);
+  }
+
+  const out = new Map();
+  for (const [matchId, wallets] of Object.entries(prev.hintWinners || {})) {
+    for (const [wallet, block] of Object.entries(wallets || {})) {
+      if (!(Number(block) < start)) continue;
+      if (!out.has(matchId)) out.set(matchId, new Map());
+      out.get(matchId).set(wallet, Number(block));
+    }
+  }
+  return out;
+}
+
+function hintWinnerFor(hintWinnerByMatchId, matchId, playerA, playerB) {
+  const candidates = matchId != null ? hintWinnerByMatchId.get(String(matchId)) : null;
+  if (!candidates) return { candidates: null, winner: null };
+  if (playerA && candidates.has(playerA)) return { candidates, winner: playerA };
+  if (playerB && candidates.has(playerB)) return { candidates, winner: playerB };
+  return { candidates, winner: null };
+}
+
 async function main() {
-  const latest = await provider.getBlockNumber();
+  const latest = await client.getBlockNumber();
 
   const lookback = Number(process.env.LOOKBACK_BLOCKS || 300000);
-  const chunk = Number(process.env.CHUNK || 5000);
-  const start = Math.max(0, latest - lookback);
+
+  const prev = FULL_REBUILD ? null : loadPreviousPayload();
+  const cursor = prev ? previousCursor(prev) : null;
+  const incremental = !!(prev && cursor);
+
+  // min() guards against an RPC node that lags behind the one used last run.
+  const start = incremental
+    ? Math.max(0, Math.min(cursor, latest) - REORG_MARGIN_BLOCKS + 1)
+    : Math.max(0, latest - lookback);
+  const coveredFrom = incremental
+    ? Math.min(previousCoveredFrom(prev) ?? start, start)
+    : start;
 
   console.log("diamond:", DIAMOND);
   console.log("match topic0:", MATCH_TOPIC0);
   console.log("winner hint topic0:", WINNER_HINT_TOPIC0);
+  console.log("mode:", incremental ? `incremental (cursor ${cursor}, margin ${REORG_MARGIN_BLOCKS})` : "full rebuild");
   console.log("scan:", `${start} -> ${latest}`);
 
-  const matchLogs = [];
-  const hintLogs = [];
-
-  for (let from = start; from <= latest; from += chunk + 1) {
-    const to = Math.min(latest, from + chunk);
-
-    const [a, b] = await Promise.all([
-      provider.getLogs({
-        address: DIAMOND,
-        fromBlock: from,
-        toBlock: to,
-        topics: [MATCH_TOPIC0],
-      }),
-      provider.getLogs({
-        address: DIAMOND,
-        fromBlock: from,
-        toBlock: to,
-        topics: [WINNER_HINT_TOPIC0],
-      }),
-    ]);
-
-    matchLogs.push(...a);
-    hintLogs.push(...b);
-
+  const scanned = { match: 0, hint: 0 };
+  const progress = (kind) => ({ toBlock, logs }) => {
+    scanned[kind] = logs;
     process.stdout.write(
-      `\rblocks ${from}..${to}  matchLogs=${matchLogs.length}  hintLogs=${hintLogs.length}   `
+      `\rblocks ..${toBlock}  matchLogs=${scanned.match}  hintLogs=${scanned.hint}   `
     );
-  }
+  };
+
+  const [matchLogs, hintLogs] = await Promise.all([
+    client.getLogs(
+      { address: DIAMOND, topics: [MATCH_TOPIC0], fromBlock: start, toBlock: latest },
+      { onProgress: progress("match") }
+    ),
+    client.getLogs(
+      { address: DIAMOND, topics: [WINNER_HINT_TOPIC0], fromBlock: start, toBlock: latest },
+      { onProgress: progress("hint") }
+    ),
+  ]);
   process.stdout.write("\n");
+  console.log("rpc:", JSON.stringify(client.stats));
+
+  // Diagnostic counters accumulate across runs, so logs re-read inside the
+  // reorg margin must not be counted twice.
+  const isNewLog = (log) => !incremental || log.blockNumber > cursor;
 
   // Optional secondary source from the hint logs.
   // Based on the debug output, the hint layout appears to be:
@@ -125,7 +230,7 @@ async function main() {
   //
   // But the match logs themselves already contain the winner directly in data[1],
   // which is much more reliable for this extractor.
-  const hintWinnerByMatchId = new Map();
+  const hintWinnerByMatchId = incremental ? loadPreviousHintWinners(start) : new Map();
   let hintAccepted = 0;
 
   for (const log of hintLogs) {
@@ -140,13 +245,15 @@ async function main() {
     if (!hintedResultCode || !hintedWinner || !hintedMatchIdBI || hintedFlag == null) continue;
     if (hintedFlag !== 1) continue;
 
-    hintAccepted++;
+    if (isNewLog(log)) hintAccepted++;
     const key = hintedMatchIdBI.toString();
 
     if (!hintWinnerByMatchId.has(key)) {
-      hintWinnerByMatchId.set(key, new Set());
+      hintWinnerByMatchId.set(key, new Map());
     }
-    hintWinnerByMatchId.get(key).add(hintedWinner);
+    const seen = hintWinnerByMatchId.get(key);
+    const firstBlock = seen.get(hintedWinner);
+    if (firstBlock == null || log.blockNumber < firstBlock) seen.set(hintedWinner, log.blockNumber);
   }
 
   const matches = [];
@@ -181,44 +288,33 @@ async function main() {
       winnerSource = "matchDataWord1";
       winnersFromMatchData++;
     } else if (matchDataWinner) {
-      matchDataWinnerInvalid++;
+      if (isNewLog(log)) matchDataWinnerInvalid++;
     }
 
+    const { candidates, winner: hintWinner } = matchIdBI
+      ? hintWinnerFor(hintWinnerByMatchId, matchIdBI, playerA, playerB)
+      : { candidates: null, winner: null };
+
     // Fallback to hint logs only if match data did not yield a valid winner.
-    if (!winner && matchIdBI) {
-      const candidateSet = hintWinnerByMatchId.get(matchIdBI.toString());
-      if (candidateSet) {
-        if (playerA && candidateSet.has(playerA)) {
-          winner = playerA;
-          winnerSource = "hintFallback";
-          winnersFromHintFallback++;
-        } else if (playerB && candidateSet.has(playerB)) {
-          winner = playerB;
-          winnerSource = "hintFallback";
-          winnersFromHintFallback++;
-        } else {
-          hintFallbackInvalid++;
-        }
+    if (!winner && candidates) {
+      if (hintWinner) {
+        winner = hintWinner;
+        winnerSource = "hintFallback";
+        winnersFromHintFallback++;
+      } else {
+        if (isNewLog(log)) hintFallbackInvalid++;
       }
     }
 
     // Track disagreements where both sources exist and point to different valid players.
     if (matchIdBI) {
-      const candidateSet = hintWinnerByMatchId.get(matchIdBI.toString());
-      const hintWinner =
-        candidateSet && playerA && candidateSet.has(playerA)
-          ? playerA
-          : candidateSet && playerB && candidateSet.has(playerB)
-            ? playerB
-            : null;
-
       if (
         matchDataWinner &&
         hintWinner &&
         matchDataWinner !== hintWinner &&
         (matchDataWinner === playerA || matchDataWinner === playerB)
       ) {
-        winnerSourceDisagreements++;
+        if (isNewLog(log)) winnerSourceDisagreements++;
       }
     }
 
@@ -237,21 +333,51 @@ async function main() {
     });
   }
 
+  // Merge with the previous rows: drop anything inside the re-scanned window
+  // (it was just fetched again), then de-duplicate by txHash+logIndex.
+  // Kept rows still waiting on a winner get the same hint fallback a full
+  // rebuild would apply; a winner chosen on an earlier run is carried forward.
+  const kept = incremental
+    ? prev.matches
+        .filter((m) => Number(m.blockNumber) < start || Number(m.blockNumber) > latest)
+        .map((m) => {
+          if (m.winner) return m;
+          const { winner } = hintWinnerFor(hintWinnerByMatchId, m.matchId, m.playerA, m.playerB);
+          return winner ? { ...m, winner, winnerSource: "hintFallback" } : m;
+        })
+    : [];
+
+  const byKey = new Map();
+  for (const row of [...kept, ...matches]) byKey.set(logKey(row), row);
+  const merged = [...byKey.values()].sort(compareLogOrder);
+
+  // Rows above the previous cursor only: the re-read margin is not new.
+  const newMatchLogs = merged.filter(isNewLog).length;
+  const carried = (field) => (incremental ? Number(prev[field] || 0) : 0);
+
   const payload = {
     updatedAtUtc: new Date().toISOString(),
     diamond: DIAMOND,
     matchTopic0: MATCH_TOPIC0,
     winnerHintTopic0: WINNER_HINT_TOPIC0,
     lookbackBlocks: lookback,
-    totalMatchLogs: matchLogs.length,
-    totalHintLogs: hintLogs.length,
-    hintAccepted,
-    winnersFound,
-    winnersFromMatchData,
-    winnersFromHintFallback,
-    matchDataWinnerInvalid,
-    hintFallbackInvalid,
-    winnerSourceDisagreements,
+    scan: {
+      mode: incremental ? "incremental" : "full",
+      fromBlock: coveredFrom,
+      scannedToBlock: latest,
+      lastRunFromBlock: start,
+      reorgMarginBlocks: REORG_MARGIN_BLOCKS,
+      newMatchLogs,
+    },
+    totalMatchLogs: merged.length,
+    totalHintLogs: carried("totalHintLogs") + hintLogs.filter(isNewLog).length,
+    hintAccepted: carried("hintAccepted") + hintAccepted,
+    winnersFound: merged.filter((m) => m.winner).length,
+    winnersFromMatchData: merged.filter((m) => m.winnerSource === "matchDataWord1").length,
+    winnersFromHintFallback: merged.filter((m) => m.winnerSource === "hintFallback").length,
+    matchDataWinnerInvalid: carried("matchDataWinnerInvalid") + matchDataWinnerInvalid,
+    hintFallbackInvalid: carried("hintFallbackInvalid") + hintFallbackInvalid,
+    winnerSourceDisagreements: carried("winnerSourceDisagreements") + winnerSourceDisagreements,
     decodingNotes: {
       matchLog: {
         topic1: "matchId",
@@ -267,15 +393,30 @@ async function main() {
         dataWord1: "flag",
       },
     },
-    matches,
+    matches: merged,
+  };
+
+  const hintsPayload = {
+    updatedAtUtc: payload.updatedAtUtc,
+    diamond: DIAMOND,
+    winnerHintTopic0: WINNER_HINT_TOPIC0,
+    scannedToBlock: latest,
+    hintWinners: Object.fromEntries(
+      [...hintWinnerByMatchId].map(([matchId, wallets]) => [matchId, Object.fromEntries(wallets)])
+    ),
   };
 
   fs.mkdirSync("public", { recursive: true });
   fs.writeFileSync(OUT, JSON.stringify(payload, null, 2));
+  fs.writeFileSync(HINTS_OUT, JSON.stringify(hintsPayload));
 
   console.log(`wrote ${OUT}`);
+  console.log(`wrote ${HINTS_OUT} (${hintWinnerByMatchId.size} matchIds)`);
+  console.log(
+    `matchLogs=${matchLogs.length} hintLogs=${hintLogs.length} winnersFound=${winnersFound} (this run)`
+  );
   console.log(
-    `matchLogs=${matchLogs.length} hintLogs=${hintLogs.length} winnersFound=${winnersFound}`
+    `totalMatches=${merged.length} kept=${kept.length} new=${newMatchLogs} scannedToBlock=${latest}`
   );
   console.log(
     `winnersFromMatchData=${winnersFromMatchData} winnersFromHintFallback=${winnersFromHintFallback}`
@@ -284,7 +425,7 @@ async function main() {
     `matchDataWinnerInvalid=${matchDataWinnerInvalid} hintFallbackInvalid=${hintFallbackInvalid} winnerSourceDisagreements=${winnerSourceDisagreements}`
   );
 
-  const ex = matches.find((x) => x.winner);
+  const ex = merged.find((x) => x.winner);
   console.log("example winner row:", ex || null);
 }
 
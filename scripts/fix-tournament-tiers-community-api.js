@@ -2,8 +2,8 @@
  * fix-tournament-tiers-community-api.js (ESM)
  *
  * Goal:
- *   Build/refresh public/tournamentRanges.json as:
- *     tournamentId -> { minLevel, maxLevel }
+ *   Record tournamentId -> { minLevel, maxLevel } as the "community-api" tier source
+ *   and re-resolve public/tournamentRanges.json (see scripts/tier-resolver.js).
  *
  * Usage:
  *   node scripts/fix-tournament-tiers-community-api.js
@@ -13,37 +13,22 @@
  *
  * Notes:
  *   - This script tries several query shapes because DFK community schemas have varied over time.
- *   - Once tournamentRanges.json exists, the HTML can correctly classify tier 10 vs 20 by maxLevel > 10.
  */
 
 import fs from "node:fs";
 import path from "node:path";
 import process from "node:process";
+import { readTierSource, recordTierSource, writeResolvedRanges } from "./tier-resolver.js";
 
 const ROOT = process.cwd();
 const PUBLIC_DIR = path.join(ROOT, "public");
 const WINS_PATH = path.join(PUBLIC_DIR, "leaderboard.json");
-const OUT_PATH = path.join(PUBLIC_DIR, "tournamentRanges.json");
 
 // Public community GraphQL gateway (referenced publicly). :contentReference[oaicite:1]{index=1}
 const DEFAULT_ENDPOINTS = [
   "https://defi-kingdoms-community-api-gateway-co06z8vi.uc.gateway.dev/graphql",
 ];
 
-function readJsonIfExists(p, fallback) {
-  try {
-    if (!fs.existsSync(p)) return fallback;
-    return JSON.parse(fs.readFileSync(p, "utf8"));
-  } catch {
-    return fallback;
-  }
-}
-
-function writeJson(p, obj) {
-  fs.mkdirSync(path.dirname(p), { recursive: true });
-  fs.writeFileSync(p, JSON.stringify(obj, null, 2));
-}
-
 function uniq(arr) {
   return [...new Set(arr)];
 }
@@ -240,15 +225,7 @@ async function main() {
   console.log(`Loaded wins: ${wins.length}`);
   console.log(`Unique tournamentIds: ${ids.length}`);
 
-  const existing = readJsonIfExists(OUT_PATH, {
-    updatedAtUtc: null,
-    source: null,
-    rangesByTournamentId: {},
-  });
-
-  const existingMap = existing?.rangesByTournamentId && typeof existing.rangesByTournamentId === "object"
-    ? existing.rangesByTournamentId
-    : {};
+  const existingMap = readTierSource("community-api");
 
   const missing = ids.filter((id) => !existingMap[id]);
   console.log(`Cache entries: ${Object.keys(existingMap).length}`);
@@ -293,14 +270,9 @@ async function main() {
         );
       }
 
-      const out = {
-        updatedAtUtc: new Date().toISOString(),
-        source: endpoint,
-        rangesByTournamentId: map,
-      };
-      writeJson(OUT_PATH, out);
+      recordTierSource("community-api", map, { endpoint });
+      writeResolvedRanges();
 
-      console.log(`Wrote ${OUT_PATH}`);
       console.log(`Done. Cached ranges: ${Object.keys(map).length}/${ids.length}`);
       return; // success
     } catch (e) {
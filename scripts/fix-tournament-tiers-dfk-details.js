@@ -2,7 +2,8 @@
 // ESM script ("type": "module")
 //
 // Fix tiers by pulling Allowed Hero Level min/max for each tournamentId
-// from the DFK tournament details GraphQL endpoint.
+// from the DFK tournament details GraphQL endpoint. Results are recorded as the
+// "dfk-details" tier source; win tiers are then rewritten from the resolved ranges.
 //
 // Run:
 //   node scripts/fix-tournament-tiers-dfk-details.js
@@ -13,6 +14,7 @@
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { readTierSource, recordTierSource, writeResolvedRanges } from "./tier-resolver.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -23,7 +25,6 @@ const ENDPOINT =
 
 const PUBLIC_DIR = path.resolve(__dirname, "..", "public");
 const LEADERBOARD_PATH = path.join(PUBLIC_DIR, "leaderboard.json");
-const CACHE_PATH = path.join(PUBLIC_DIR, "tournamentRanges.json");
 
 const REQUEST_TIMEOUT_MS = 25000;
 const BATCH_SIZE = 30;
@@ -216,13 +217,6 @@ function pickMinMaxFields(typeInfo) {
   return { minField, maxField };
 }
 
-function deriveTierFromMax(maxLevel) {
-  // Your screenshots show Allowed Hero Level 16–20 => should be tier 20
-  const m = Number(maxLevel);
-  if (!Number.isFinite(m)) return null;
-  return m >= 16 ? 20 : 10;
-}
-
 async function main() {
   if (!fs.existsSync(LEADERBOARD_PATH)) {
     console.error(`Missing ${LEADERBOARD_PATH}`);
@@ -237,14 +231,7 @@ async function main() {
   console.log(`Unique tournamentIds: ${tournamentIds.length}`);
   console.log(`GraphQL endpoint: ${ENDPOINT}`);
 
-  let cache = {};
-  if (fs.existsSync(CACHE_PATH)) {
-    try {
-      cache = readJson(CACHE_PATH);
-    } catch {
-      cache = {};
-    }
-  }
+  let cache = readTierSource("dfk-details");
   console.log(`Cache entries: ${Object.keys(cache).length}`);
 
   const missing = tournamentIds.filter((id) => cache[String(id)] == null);
@@ -412,17 +399,17 @@ async function main() {
       }
     }
 
-    writeJson(CACHE_PATH, cache);
+    recordTierSource("dfk-details", cache, { endpoint: ENDPOINT });
     console.log(`Cache saved. fetched=${fetched}`);
   }
 
   // 6) Apply tier updates
+  const resolved = writeResolvedRanges();
   let changed = 0;
   let unresolved = 0;
 
   for (const w of wins) {
-    const entry = cache[String(w.tournamentId)];
-    const tier = deriveTierFromMax(entry?.maxLevel);
+    const tier = resolved[String(w.tournamentId)]?.tier ?? null;
     if (tier == null) {
       unresolved++;
       continue;
@@ -437,7 +424,7 @@ async function main() {
   lb.updatedAtUtc = new Date().toISOString();
   lb.tiersFixed = {
     endpoint: ENDPOINT,
-    cacheFile: "public/tournamentRanges.json",
+    rangesFile: "public/tournamentRanges.json",
     changedWins: changed,
     unresolvedWins: unresolved,
   };
@@ -447,7 +434,6 @@ async function main() {
   console.log(`Done.`);
   console.log(`changedWins=${changed}`);
   console.log(`unresolvedWins=${unresolved}`);
-  console.log(`Wrote ${CACHE_PATH}`);
   console.log(`Wrote ${LEADERBOARD_PATH}`);
 }
 
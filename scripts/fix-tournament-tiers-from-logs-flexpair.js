@@ -6,8 +6,10 @@
 //
 // What it does:
 // - Reads public/leaderboard.json
-// - Builds/updates public/tournamentRanges.json by scanning on-chain logs
-// - Rewrites each win's `tier` based on maxLevel (10 or 20)
+// - Scans on-chain logs for level pairs and records them as the "logs-flexpair"
+//   tier source (public/tier-sources.json)
+// - Re-resolves public/tournamentRanges.json (scripts/tier-resolver.js)
+// - Rewrites each win's `tier` from the resolved ranges
 // - Writes leaderboard.json back (and keeps a .bak)
 //
 // Notes:
@@ -18,6 +20,7 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { ethers } from "ethers";
+import { readTierSource, recordTierSource, writeResolvedRanges } from "./tier-resolver.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -42,10 +45,6 @@ const LEADERBOARD_PATH =
   process.env.LEADERBOARD_PATH ||
   path.join(__dirname, "..", "public", "leaderboard.json");
 
-const RANGES_PATH =
-  process.env.RANGES_PATH ||
-  path.join(__dirname, "..", "public", "tournamentRanges.json");
-
 // If your wins have no `block`, set this as a fallback start
 const FALLBACK_START_BLOCK = Number(process.env.FALLBACK_START_BLOCK || 22_000_000);
 // ---------- /CONFIG ----------
@@ -154,16 +153,8 @@ async function main() {
   const wins = Array.isArray(leaderboard.wins) ? leaderboard.wins : [];
   console.log(`Loaded wins: ${wins.length}`);
 
-  // Load cache if exists
-  let cache = { updatedAtUtc: null, ranges: {} };
-  if (fs.existsSync(RANGES_PATH)) {
-    try {
-      cache = readJson(RANGES_PATH);
-      if (!cache.ranges) cache.ranges = {};
-    } catch {
-      // ignore
-    }
-  }
+  // Earlier finds of this source (including unresolved placeholders) are not rescanned.
+  const cache = { ranges: readTierSource("logs-flexpair") };
   console.log(`Cache entries: ${Object.keys(cache.ranges || {}).length}`);
 
   // Build tournamentId -> earliestBlock (from wins)
@@ -282,10 +273,8 @@ async function main() {
     }
   }
 
-  // Write ranges cache
-  cache.updatedAtUtc = new Date().toISOString();
-  writeJson(RANGES_PATH, cache);
-  console.log(`Wrote ${RANGES_PATH}`);
+  recordTierSource("logs-flexpair", cache.ranges, { tournamentDiamond: TOURNAMENT_DIAMOND, lookbackBlocks: LOOKBACK_BLOCKS });
+  const resolved = writeResolvedRanges();
 
   // Rewrite wins tiers
   let fixed = 0;
@@ -295,8 +284,7 @@ async function main() {
     const tid = (w.tournamentId ?? w.tourneyId ?? w.id ?? "").toString();
     if (!tid) continue;
 
-    const r = cache.ranges?.[tid];
-    const newTier = r?.tier === 10 || r?.tier === 20 ? r.tier : null;
+    const newTier = resolved[tid]?.tier ?? null;
 
     if (newTier == null) {
       unknown++;
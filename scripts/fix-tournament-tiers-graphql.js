@@ -5,10 +5,9 @@
 // - Reads ./public/leaderboard.json (wins with tournamentId + tier)
 // - Uses GraphQL introspection on DFK API to find how to query tournament details
 // - Fetches allowed hero level min/max for each tournamentId
-// - Rewrites win.tier based on the max allowed level (>=16 => 20 else 10)
-// - Writes:
-//    - ./public/tournamentRanges.json (cache)
-//    - ./public/leaderboard.json (updated)
+// - Records them as the "graphql" tier source (public/tier-sources.json)
+// - Re-resolves ./public/tournamentRanges.json (scripts/tier-resolver.js)
+// - Rewrites win.tier in ./public/leaderboard.json from the resolved tiers
 //
 // Run:
 //   node scripts/fix-tournament-tiers-graphql.js
@@ -19,6 +18,7 @@
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { readTierSource, recordTierSource, writeResolvedRanges } from "./tier-resolver.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -29,7 +29,6 @@ const ENDPOINT =
 
 const PUBLIC_DIR = path.resolve(__dirname, "..", "public");
 const LEADERBOARD_PATH = path.join(PUBLIC_DIR, "leaderboard.json");
-const CACHE_PATH = path.join(PUBLIC_DIR, "tournamentRanges.json");
 
 // Chunk sizes
 const TOURNAMENT_BATCH_SIZE = 40; // how many tournamentIds per loop (we still query one-by-one unless schema supports arrays)
@@ -281,17 +280,6 @@ function coerceIdValue(typeStr, tournamentId) {
   return String(tournamentId);
 }
 
-function deriveTierFromMax(maxLevel) {
-  // Your UI examples:
-  // - "Allowed Hero Level 16 to 20" => should count as 20 tier
-  // In practice, DFK tiers are typically 10 and 20.
-  // So: max >= 16 -> 20 else -> 10.
-  if (maxLevel == null) return null;
-  const m = Number(maxLevel);
-  if (!Number.isFinite(m)) return null;
-  return m >= 16 ? 20 : 10;
-}
-
 async function main() {
   if (!fs.existsSync(LEADERBOARD_PATH)) {
     console.error(`Missing ${LEADERBOARD_PATH}. Make sure you have public/leaderboard.json first.`);
@@ -307,14 +295,7 @@ async function main() {
   console.log(`GraphQL endpoint: ${ENDPOINT}`);
 
   // Load cache
-  let cache = {};
-  if (fs.existsSync(CACHE_PATH)) {
-    try {
-      cache = readJson(CACHE_PATH);
-    } catch {
-      cache = {};
-    }
-  }
+  let cache = readTierSource("graphql");
   const cachedCount = Object.keys(cache).length;
   console.log(`Cache entries: ${cachedCount}`);
 
@@ -418,17 +399,17 @@ async function main() {
     }
 
     // Save cache progressively
-    writeJson(CACHE_PATH, cache);
+    recordTierSource("graphql", cache, { endpoint: ENDPOINT });
     console.log(`Cache saved. Total fetched this run: ${fetched}`);
   }
 
   // Apply tier updates
+  const resolved = writeResolvedRanges();
   let changed = 0;
   let unresolved = 0;
 
   for (const w of wins) {
-    const entry = cache[String(w.tournamentId)];
-    const tier = deriveTierFromMax(entry?.maxLevel);
+    const tier = resolved[String(w.tournamentId)]?.tier ?? null;
 
     if (tier == null) {
       unresolved++;
@@ -445,7 +426,7 @@ async function main() {
   lb.updatedAtUtc = new Date().toISOString();
   lb.tiersFixed = {
     endpoint: ENDPOINT,
-    cacheFile: "public/tournamentRanges.json",
+    rangesFile: "public/tournamentRanges.json",
     changedWins: changed,
     unresolvedWins: unresolved,
   };
@@ -455,7 +436,6 @@ async function main() {
   console.log(`Done.`);
   console.log(`Updated wins with tier changes: ${changed}`);
   console.log(`Wins still unresolved (no maxLevel): ${unresolved}`);
-  console.log(`Wrote: ${CACHE_PATH}`);
   console.log(`Wrote: ${LEADERBOARD_PATH}`);
 }
 
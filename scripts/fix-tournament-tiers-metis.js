@@ -1,10 +1,14 @@
 // scripts/fix-tournament-tiers_metis.js
 // ESM script (your project has "type": "module")
+//
+// Reads tournament details straight from the diamond, records them as the "metis"
+// tier source, then rewrites win tiers from the resolved ranges (scripts/tier-resolver.js).
 
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { JsonRpcProvider, Contract } from "ethers";
+import { recordTierSource, writeResolvedRanges } from "./tier-resolver.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -196,7 +200,7 @@ async function main() {
   const contract = new Contract(TOURNAMENT_DIAMOND, reader.abi, provider);
 
   // Resolve tiers per tournamentId
-  const idToTier = new Map();
+  const entries = {};
   let ok = 0;
   let fail = 0;
 
@@ -216,7 +220,7 @@ async function main() {
     for (const r of results) {
       if (r.status === "fulfilled") {
         ok++;
-        idToTier.set(r.value.id, r.value.tier);
+        entries[String(r.value.id)] = { maxLevel: r.value.maxLevel, tier: r.value.tier };
       } else {
         fail++;
       }
@@ -227,10 +231,17 @@ async function main() {
     );
   }
 
-  // Rewrite wins with corrected tiers (only where we successfully resolved)
+  recordTierSource("metis", entries, {
+    tournamentDiamond: TOURNAMENT_DIAMOND,
+    readerFunction: reader.name,
+    readerSignature: reader.sig,
+  });
+  const resolved = writeResolvedRanges();
+
+  // Rewrite wins with resolved tiers (only where a tier is known)
   let changed = 0;
   for (const w of leaderboard.wins) {
-    const newTier = idToTier.get(w.tournamentId);
+    const newTier = resolved[String(w.tournamentId)]?.tier;
     if (newTier != null && w.tier !== newTier) {
       w.tier = newTier;
       changed++;
@@ -247,7 +258,7 @@ async function main() {
   leaderboard.tierFix = {
     tournamentDiamond: TOURNAMENT_DIAMOND,
     rpc: RPC,
-    resolvedTournaments: idToTier.size,
+    resolvedTournaments: Object.keys(entries).length,
     changedWins: changed,
     readerFunction: reader.name,
     readerSignature: reader.sig,
@@ -257,7 +268,7 @@ async function main() {
 
   console.log(`✅ Wrote: ${LEADERBOARD_PATH}`);
   console.log(`✅ Tiers updated on ${changed} win rows.`);
-  console.log(`✅ Resolved tournaments: ${idToTier.size}/${ids.length}`);
+  console.log(`✅ Resolved tournaments: ${Object.keys(entries).length}/${ids.length}`);
 }
 
 main().catch((e) => {
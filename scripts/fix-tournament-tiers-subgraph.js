@@ -1,5 +1,6 @@
 /**
- * Build/refresh public/tournamentRanges.json by querying your existing tournament-leaderboards subgraph.
+ * Record tournament level ranges from your existing tournament-leaderboards subgraph as the
+ * "subgraph" tier source, then re-resolve public/tournamentRanges.json (scripts/tier-resolver.js).
  *
  * Why:
  * - The win logs only have tournamentId.
@@ -10,8 +11,8 @@
  * - tournamentId (or id)
  * - minLevel/minHeroLevel + maxLevel/maxHeroLevel
  *
- * Then it writes:
- *  public/tournamentRanges.json
+ * Then it records:
+ *  public/tier-sources.json ("subgraph") -> public/tournamentRanges.json
  *
  * Usage:
  *   node scripts/fix-tournament-tiers-subgraph.js
@@ -23,13 +24,13 @@
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { recordTierSource, writeResolvedRanges } from "./tier-resolver.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const ROOT = path.resolve(__dirname, "..");
 const PUBLIC_DIR = path.join(ROOT, "public");
 const LEADERBOARD_JSON = path.join(PUBLIC_DIR, "leaderboard.json");
-const OUT_RANGES_JSON = path.join(PUBLIC_DIR, "tournamentRanges.json");
 
 const SUBGRAPH_URL =
   process.env.SUBGRAPH_URL ||
@@ -38,10 +39,6 @@ const SUBGRAPH_URL =
 function readJson(p) {
   return JSON.parse(fs.readFileSync(p, "utf8"));
 }
-function writeJson(p, obj) {
-  fs.mkdirSync(path.dirname(p), { recursive: true });
-  fs.writeFileSync(p, JSON.stringify(obj, null, 2));
-}
 
 async function gql(query, variables = {}) {
   const res = await fetch(SUBGRAPH_URL, {
@@ -115,11 +112,6 @@ function findLevelFields(typeDef) {
   return { idField, minField, maxField };
 }
 
-function tierFromMinMax(minL, maxL) {
-  if (!Number.isFinite(minL) || !Number.isFinite(maxL)) return null;
-  return maxL >= 16 ? 20 : 10;
-}
-
 async function main() {
   const lb = readJson(LEADERBOARD_JSON);
   const wins = Array.isArray(lb.wins) ? lb.wins : [];
@@ -206,8 +198,8 @@ async function main() {
       const tid = String(tidRaw);
       const minL = Number(r[chosen.minField]);
       const maxL = Number(r[chosen.maxField]);
-      const tier = tierFromMinMax(minL, maxL);
-      results[tid] = { minLevel: minL, maxLevel: maxL, tier, source: "subgraph" };
+      if (!Number.isFinite(minL) || !Number.isFinite(maxL)) continue;
+      results[tid] = { minLevel: minL, maxLevel: maxL };
     }
   }
 
@@ -217,8 +209,8 @@ async function main() {
   console.log(`Resolved ranges: ${Object.keys(results).length}/${ids.length}`);
   if (missing.length) console.log(`Missing range entries: ${missing.length} (example: ${missing.slice(0, 10).join(", ")})`);
 
-  writeJson(OUT_RANGES_JSON, results);
-  console.log(`Wrote ${OUT_RANGES_JSON}`);
+  recordTierSource("subgraph", results, { subgraphUrl: SUBGRAPH_URL, queryField: chosen.fieldName });
+  writeResolvedRanges();
 }
 
 main().catch((e) => {
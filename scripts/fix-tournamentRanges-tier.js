@@ -1,49 +1,14 @@
 #!/usr/bin/env node
 /**
- * Fix tier values inside public/tournamentRanges.json based on minLevel/maxLevel.
- * Rule:
- *   tier = 20 if maxLevel >= 20 else 10
+ * Recompute tier values in public/tournamentRanges.json.
+ *
+ * Tiers are derived by scripts/tier-resolver.js from the recorded sources with a
+ * single rule (tierFromLevels), so this just re-runs the resolver.
  *
  * Usage:
  *   node scripts/fix-tournamentRanges-tier.js
  */
 
-import fs from "fs";
-
-const FP = "public/tournamentRanges.json";
-
-function main() {
-  if (!fs.existsSync(FP)) {
-    console.error(`Missing ${FP}`);
-    process.exitCode = 1;
-    return;
-  }
-
-  const j = JSON.parse(fs.readFileSync(FP, "utf8"));
-  const m = j.rangesByTournamentId;
-
-  if (!m || typeof m !== "object") {
-    console.error("tournamentRanges.json missing rangesByTournamentId object");
-    process.exitCode = 1;
-    return;
-  }
-
-  let changed = 0;
-  for (const [tid, r] of Object.entries(m)) {
-    if (!r || typeof r !== "object") continue;
-    const maxLevel = Number(r.maxLevel);
-    const newTier = maxLevel >= 20 ? 20 : 10;
-    if (Number(r.tier) !== newTier) {
-      r.tier = newTier;
-      changed++;
-    }
-  }
-
-  j.updatedAtUtc = new Date().toISOString();
-  j.source = (j.source || "unknown") + "+tierFix";
-
-  fs.writeFileSync(FP, JSON.stringify(j, null, 2) + "\n", "utf8");
-  console.log(`Updated ${FP}. tier changes applied: ${changed}`);
-}
+import { writeResolvedRanges } from "./tier-resolver.js";
 
-main();
\ No newline at end of file
+writeResolvedRanges();
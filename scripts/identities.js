@@ -0,0 +1,135 @@
+// scripts/identities.js
+//
+// Identity layer: groups the wallets of one player (alts, a new wallet after a
+// migration, ...) so leaderboards and rivalries can be shown per player as well
+// as per wallet.
+//
+// Two link sources, in order:
+//   declared      overrides.json "identities" (reviewed by hand; always wins)
+//   profile-name  wallets sharing one in-game name in public/profiles.json
+//
+// A wallet in a declared identity is never name-linked. To keep two same-name
+// wallets apart, declare one of them as its own single-wallet identity.
+// Wallets without a link are their own identity and are not listed.
+//
+// Usage:
+//   node scripts/identities.js     writes public/identities.json for the site / api-server
+//
+// Output (public/identities.json):
+//   identities:        [{ id, name, wallets: [...], linkedBy, note }]
+//   identityByWallet:  { "<wallet>": "<identityId>" }
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadOverrides } from "./overrides.js";
+import { readJson, writeJson } from "./utils.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = process.cwd();
+const PROFILES_PATH = path.join(ROOT, "public", "profiles.json");
+const OUT_PATH = path.join(ROOT, "public", "identities.json");
+
+function slug(s) {
+  return String(s).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "player";
+}
+
+/**
+ * Build identities from declared links and profile names.
+ * Returns { identities: [...], byWallet: Map<wallet, identity> } (multi-wallet and declared identities only).
+ */
+export function buildIdentities({ declared = new Map(), namesByAddress = {}, aliases = new Map() } = {}) {
+  const nameOf = (w) => aliases.get(w)?.name || String(namesByAddress[w] || "").trim() || null;
+  const identities = [];
+
+  for (const [id, d] of declared) {
+    identities.push({ id, name: d.name || nameOf(d.wallets[0]), wallets: d.wallets, linkedBy: "declared", note: d.note });
+  }
+
+  const taken = new Set(identities.flatMap((i) => i.wallets));
+  const byName = new Map();
+  for (const [wallet, name] of Object.entries(namesByAddress)) {
+    const w = wallet.toLowerCase();
+    const key = String(name || "").trim().toLowerCase();
+    if (!key || taken.has(w)) continue;
+    if (!byName.has(key)) byName.set(key, []);
+    byName.get(key).push(w);
+  }
+
+  const ids = new Set(identities.map((i) => i.id));
+  for (const wallets of byName.values()) {
+    if (wallets.length < 2) continue;
+    wallets.sort();
+    let id = `name-${slug(namesByAddress[wallets[0]])}`;
+    for (let n = 2; ids.has(id); n++) id = `name-${slug(namesByAddress[wallets[0]])}-${n}`;
+    ids.add(id);
+    identities.push({ id, name: nameOf(wallets[0]), wallets, linkedBy: "profile-name", note: null });
+  }
+
+  identities.sort((a, b) => a.id.localeCompare(b.id));
+  const byWallet = new Map();
+  for (const i of identities) for (const w of i.wallets) byWallet.set(w, i);
+  return { identities, byWallet };
+}
+
+/** Identities from overrides.json + public/profiles.json (what the CLI writes). */
+export function loadIdentities() {
+  const overrides = loadOverrides();
+  const profiles = readJson(PROFILES_PATH, {});
+  return buildIdentities({
+    declared: overrides.identities,
+    namesByAddress: profiles?.namesByAddress || {},
+    aliases: overrides.aliases,
+  });
+}
+
+/** The identity id for a wallet, or the wallet itself when it is not linked. */
+export function identityKey(byWallet, wallet) {
+  const w = String(wallet || "").toLowerCase();
+  return byWallet.get(w)?.id ?? w;
+}
+
+/**
+ * Collapse per-wallet rows into one row per identity. `sum` fields are added up,
+ * `max` fields take the highest, `union` fields (id lists) are merged; unlinked
+ * wallets pass through as one-wallet rows.
+ * Rows keep input order, so `wallet` is the identity's best-placed wallet.
+ */
+export function groupByIdentity(rows, byWallet, { sum = [], max = [], union = [] } = {}) {
+  const out = new Map();
+  for (const r of rows) {
+    const identity = byWallet.get(String(r.wallet || "").toLowerCase()) || null;
+    const key = identity?.id ?? r.wallet;
+    let g = out.get(key);
+    if (!g) {
+      g = { identity: identity?.id ?? null, name: identity?.name ?? null, wallet: r.wallet, wallets: [] };
+      for (const f of [...sum, ...max]) g[f] = 0;
+      for (const f of union) g[f] = [];
+      out.set(key, g);
+    }
+    g.wallets.push(r.wallet);
+    for (const f of sum) g[f] += Number(r[f]) || 0;
+    for (const f of max) g[f] = Math.max(g[f], Number(r[f]) || 0);
+    for (const f of union) g[f] = [...new Set([...g[f], ...(Array.isArray(r[f]) ? r[f] : [])])];
+  }
+  return [...out.values()];
+}
+
+function main() {
+  const { identities, byWallet } = loadIdentities();
+  writeJson(OUT_PATH, {
+    updatedAtUtc: new Date().toISOString(),
+    sources: ["overrides.json identities", "public/profiles.json namesByAddress"],
+    counts: {
+      identities: identities.length,
+      linkedWallets: byWallet.size,
+      declared: identities.filter((i) => i.linkedBy === "declared").length,
+      byProfileName: identities.filter((i) => i.linkedBy === "profile-name").length,
+    },
+    identities,
+    identityByWallet: Object.fromEntries([...byWallet].map(([w, i]) => [w, i.id])),
+  });
+  console.log(`Wrote ${OUT_PATH}: ${identities.length} identities over ${byWallet.size} wallets`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main();
+}
@@ -0,0 +1,110 @@
+// scripts/league-archive.js
+//
+// Per-season points archive under public/leagues/.
+//
+//   public/leagues/<seasonKey>.json         default-ruleset leaderboard per season
+//   public/leagues/<seasonKey>.<name>.json  same season under another named ruleset
+//   public/leagues/index.json               manifest the site's season picker reads
+//
+// A season is rebuilt on every run while it is live and for ARCHIVE_GRACE_HOURS
+// after it ends (late matches, reorg margin, subgraph lag). After that its file
+// is frozen: it is never rewritten, even if scoring rules or the calendar change
+// later. Delete the file (or run with ARCHIVE_REBUILD=1) to re-archive on purpose.
+
+import fs from "fs";
+import path from "path";
+
+export const ARCHIVE_DIR = path.join(process.cwd(), "public", "leagues");
+export const ARCHIVE_MANIFEST = path.join(ARCHIVE_DIR, "index.json");
+
+const GRACE_MS = Number(process.env.ARCHIVE_GRACE_HOURS || 24) * 3600 * 1000;
+const REBUILD = process.env.ARCHIVE_REBUILD === "1";
+
+export function archiveFileFor(seasonKey, ruleset = "default") {
+  return path.join(ARCHIVE_DIR, ruleset === "default" ? `${seasonKey}.json` : `${seasonKey}.${ruleset}.json`);
+}
+
+// Path as the site fetches it (relative to the repo root).
+function sitePath(file) {
+  return path.relative(process.cwd(), file).split(path.sep).join("/");
+}
+
+export function loadArchiveManifest() {
+  try {
+    const json = JSON.parse(fs.readFileSync(ARCHIVE_MANIFEST, "utf8"));
+    return Array.isArray(json?.seasons) ? json : { seasons: [] };
+  } catch {
+    return { seasons: [] };
+  }
+}
+
+/** "live" until endUtc, "provisional" during the grace window, then "final". */
+export function seasonStatus(season, now = new Date()) {
+  const endMs = season.endUtc ? Date.parse(season.endUtc) : null;
+  if (endMs == null || now.getTime() < endMs) return "live";
+  return now.getTime() < endMs + GRACE_MS ? "provisional" : "final";
+}
+
+/** True when a final archive already exists and must not be touched. */
+export function isFrozen(seasonKey, manifest) {
+  if (REBUILD) return false;
+  const entry = manifest.seasons.find((s) => s.key === seasonKey);
+  return entry?.status === "final" && fs.existsSync(archiveFileFor(seasonKey));
+}
+
+export function writeSeasonArchive(season, payload, status, ruleset = "default") {
+  const file = archiveFileFor(season.key, ruleset);
+  const body = {
+    ...payload,
+    archive: {
+      seasonKey: season.key,
+      status,
+      frozenAtUtc: status === "final" ? new Date().toISOString() : null,
+    },
+  };
+
+  fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(body, null, 2));
+  return file;
+}
+
+/** `byRuleset` maps ruleset name -> payload; counts come from the default ruleset. */
+export function manifestEntry(season, byRuleset, status) {
+  const payload = byRuleset.default || Object.values(byRuleset)[0];
+  return {
+    key: season.key,
+    name: season.name,
+    status,
+    startUtc: season.startUtc,
+    endUtc: season.endUtc,
+    startBlock: season.startBlock,
+    endBlockExclusive: season.endBlockExclusive ?? null,
+    file: sitePath(archiveFileFor(season.key)),
+    tournamentsUsed: payload.summary?.tournamentsUsed ?? null,
+    playersRanked: payload.summary?.playersRanked ?? null,
+    leader: payload.players?.[0]?.wallet ?? null,
+    rulesets: Object.entries(byRuleset).map(([name, p]) => ({
+      name,
+      label: p.ruleset?.label ?? name,
+      file: sitePath(archiveFileFor(season.key, name)),
+    })),
+    updatedAtUtc: payload.updatedAtUtc,
+  };
+}
+
+/** Newest season first; entries for seasons no longer in the calendar are kept. */
+export function writeArchiveManifest(entries, previous) {
+  const byKey = new Map(previous.seasons.map((s) => [s.key, s]));
+  for (const e of entries) byKey.set(e.key, e);
+
+  const seasons = [...byKey.values()].sort((a, b) => String(b.startUtc).localeCompare(String(a.startUtc)));
+  const payload = {
+    updatedAtUtc: new Date().toISOString(),
+    currentSeasonKey: seasons.find((s) => s.status === "live")?.key ?? null,
+    seasons,
+  };
+
+  fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+  fs.writeFileSync(ARCHIVE_MANIFEST, JSON.stringify(payload, null, 2));
+  return payload;
+}
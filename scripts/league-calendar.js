@@ -0,0 +1,229 @@
+// scripts/league-calendar.js
+//
+// League seasons from leagues.json (repo root).
+//
+// Seasons are defined by UTC timestamps. The block range a season covers is
+// found by binary-searching block timestamps on the RPC; every resolved
+// boundary is cached in leagues.json under blockCache, so a normal run only
+// asks the chain about boundaries it has never seen (usually the first run of
+// a new month).
+//
+// Two ways to define seasons, which can be mixed:
+//   - monthly.from: "YYYY-MM"  generates one season per UTC calendar month
+//   - seasons: [{ key, name?, startUtc, endUtc?, rulesets? }]  explicit seasons
+//     of any length; a generated month that overlaps one is dropped
+//
+// A season without endUtc runs until the next season starts. A season's
+// `rulesets` block overrides the top-level rulesets by name (see scoring-rules.js).
+
+import fs from "fs";
+import path from "path";
+
+export const LEAGUES_CONFIG = path.join(process.cwd(), "leagues.json");
+
+export function loadLeagueConfig(file = LEAGUES_CONFIG) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Missing league calendar: ${file}`);
+  }
+  const config = JSON.parse(fs.readFileSync(file, "utf8"));
+  config.seasons = Array.isArray(config.seasons) ? config.seasons : [];
+  config.blockCache = config.blockCache && typeof config.blockCache === "object" ? config.blockCache : {};
+  return config;
+}
+
+export function saveLeagueConfig(config, file = LEAGUES_CONFIG) {
+  const blockCache = Object.fromEntries(
+    Object.entries(config.blockCache || {}).sort(([a], [b]) => a.localeCompare(b))
+  );
+  fs.writeFileSync(file, JSON.stringify({ ...config, blockCache }, null, 2) + "\n");
+}
+
+function parseUtc(value, what) {
+  const ms = Date.parse(value);
+  if (!Number.isFinite(ms)) throw new Error(`leagues.json: invalid ${what}: ${JSON.stringify(value)}`);
+  return ms;
+}
+
+function isoUtc(ms) {
+  return new Date(ms).toISOString();
+}
+
+function monthStartMs(y, m) {
+  return Date.UTC(y, m, 1);
+}
+
+function monthName(ms) {
+  return new Date(ms).toLocaleString("en-US", { month: "long", timeZone: "UTC" });
+}
+
+function fillTemplate(template, startMs, key) {
+  return String(template)
+    .replaceAll("{month}", monthName(startMs))
+    .replaceAll("{year}", String(new Date(startMs).getUTCFullYear()))
+    .replaceAll("{key}", key);
+}
+
+function monthlySeasons(monthly, nowMs) {
+  if (!monthly?.from) return [];
+
+  const [y0, m0] = String(monthly.from).split("-").map(Number);
+  if (!Number.isInteger(y0) || !Number.isInteger(m0)) {
+    throw new Error(`leagues.json: monthly.from must be "YYYY-MM", got ${JSON.stringify(monthly.from)}`);
+  }
+
+  const template = monthly.nameTemplate || "{month} League Points";
+  const out = [];
+
+  // Through the month after "now" so the current month gets an end boundary.
+  const now = new Date(nowMs);
+  const lastMs = monthStartMs(now.getUTCFullYear(), now.getUTCMonth() + 1);
+
+  for (let i = 0; ; i++) {
+    const startMs = monthStartMs(y0, m0 - 1 + i);
+    if (startMs > lastMs) break;
+
+    const d = new Date(startMs);
+    const key = `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, "0")}`;
+    out.push({
+      key,
+      name: fillTemplate(template, startMs, key),
+      startMs,
+      endMs: monthStartMs(d.getUTCFullYear(), d.getUTCMonth() + 1),
+      rulesets: monthly.rulesets || null,
+      source: "monthly",
+    });
+  }
+
+  return out;
+}
+
+/**
+ * All seasons that have started by `now`, plus the next one if it is
+ * already defined, sorted by start. Each season carries startUtc/endUtc
+ * (endUtc null = open-ended) and its ruleset overrides.
+ */
+export function listSeasons(config, now = new Date()) {
+  const nowMs = now.getTime();
+
+  const explicit = config.seasons.map((s, i) => {
+    if (!s?.key) throw new Error(`leagues.json: seasons[${i}] needs a key`);
+    return {
+      key: String(s.key),
+      name: s.name || String(s.key),
+      startMs: parseUtc(s.startUtc, `seasons[${i}].startUtc`),
+      endMs: s.endUtc ? parseUtc(s.endUtc, `seasons[${i}].endUtc`) : null,
+      rulesets: s.rulesets || null,
+      source: "config",
+    };
+  });
+
+  const keys = new Set(explicit.map((s) => s.key));
+  const overlapsExplicit = (m) =>
+    explicit.some((s) => m.startMs < (s.endMs ?? Infinity) && s.startMs < m.endMs);
+
+  const generated = monthlySeasons(config.monthly, nowMs).filter(
+    (m) => !keys.has(m.key) && !overlapsExplicit(m)
+  );
+
+  const all = [...explicit, ...generated].sort((a, b) => a.startMs - b.startMs);
+
+  // Monthly seasons keep their calendar end; explicit ones without endUtc
+  // run into the next season.
+  const seasons = all.map((s, i) => {
+    const endMs = s.endMs ?? all[i + 1]?.startMs ?? null;
+    return {
+      key: s.key,
+      name: s.name,
+      startUtc: isoUtc(s.startMs),
+      endUtc: endMs != null ? isoUtc(endMs) : null,
+      rulesets: s.rulesets || {},
+      source: s.source,
+    };
+  });
+
+  const firstFuture = seasons.findIndex((s) => Date.parse(s.startUtc) > nowMs);
+  return firstFuture < 0 ? seasons : seasons.slice(0, firstFuture + 1);
+}
+
+/** The season running at `now` and the one before it (either may be null). */
+export function pickCurrentSeasons(seasons, now = new Date()) {
+  const nowMs = now.getTime();
+  const idx = seasons.findIndex(
+    (s) => Date.parse(s.startUtc) <= nowMs && (s.endUtc == null || nowMs < Date.parse(s.endUtc))
+  );
+  if (idx < 0) return { current: null, previous: null };
+  return { current: seasons[idx], previous: idx > 0 ? seasons[idx - 1] : null };
+}
+
+/**
+ * First block whose timestamp is >= `ms`, or null if the chain head has not
+ * reached it yet. Cached entries in `blockCache` narrow the search window.
+ */
+export async function blockAtOrAfter(client, ms, blockCache, headCtx) {
+  const iso = isoUtc(ms);
+  if (Number.isFinite(blockCache[iso])) return blockCache[iso];
+
+  const tsCache = headCtx.timestamps;
+  async function timestampOf(n) {
+    if (!tsCache.has(n)) {
+      const b = await client.getBlock(n);
+      if (!b) throw new Error(`RPC returned no block ${n}`);
+      tsCache.set(n, Number(b.timestamp) * 1000);
+    }
+    return tsCache.get(n);
+  }
+
+  if (headCtx.head == null) headCtx.head = await client.getBlockNumber();
+  if ((await timestampOf(headCtx.head)) < ms) return null;
+
+  let lo = 0;
+  let hi = headCtx.head;
+  for (const [k, block] of Object.entries(blockCache)) {
+    const kMs = Date.parse(k);
+    if (!Number.isFinite(kMs) || !Number.isFinite(block)) continue;
+    if (kMs < ms && block > lo) lo = block;
+    if (kMs >= ms && block < hi) hi = block;
+  }
+
+  // Invariant: ts(hi) >= ms; ts(lo) < ms unless lo is where we already are.
+  if ((await timestampOf(lo)) >= ms) hi = lo;
+  while (hi - lo > 1) {
+    const mid = Math.floor((lo + hi) / 2);
+    if ((await timestampOf(mid)) >= ms) hi = mid;
+    else lo = mid;
+  }
+
+  blockCache[iso] = hi;
+  return hi;
+}
+
+/**
+ * Fill startBlock / endBlockExclusive on each season. Boundaries that are
+ * still in the future resolve to null (open end). `getClient` is only called
+ * if something is missing from the cache.
+ */
+export async function resolveSeasonBlocks(config, seasons, getClient) {
+  const before = JSON.stringify(config.blockCache);
+  let client = null;
+  const headCtx = { head: null, timestamps: new Map() };
+
+  async function resolve(iso) {
+    if (iso == null) return null;
+    if (Number.isFinite(config.blockCache[iso])) return config.blockCache[iso];
+    // Not mined yet; no point asking (and no RPC needed for the usual open end).
+    if (Date.parse(iso) > Date.now()) return null;
+    client ??= getClient();
+    return blockAtOrAfter(client, Date.parse(iso), config.blockCache, headCtx);
+  }
+
+  const out = [];
+  for (const s of seasons) {
+    out.push({
+      ...s,
+      startBlock: await resolve(s.startUtc),
+      endBlockExclusive: await resolve(s.endUtc),
+    });
+  }
+
+  return { seasons: out, cacheChanged: JSON.stringify(config.blockCache) !== before };
+}
@@ -0,0 +1,212 @@
+// scripts/live-tournaments.js
+//
+// Live state of the tournaments still being played, refreshed between
+// update-all runs by .github/workflows/live-tournaments.yml (update-all does
+// not run it, so that job is the only writer of live.json).
+//
+// update-all scans the match topic into public/matches.json. This script only
+// reads the blocks after that file's cursor (less REORG_MARGIN_BLOCKS), so a
+// run costs a few getLogs calls. The new rows are merged over matches.json in
+// memory (the file itself stays update-all's), and every tournament whose
+// final is not played yet gets its bracket rebuilt with the same code as
+// build-tournament-results.js.
+//
+// A tournament is listed while its last match is less than LIVE_MAX_IDLE_HOURS
+// old; brackets that stopped for longer stay reported as incomplete in
+// tournament-results.json only. Winners come from the match log itself (the
+// hint-log fallback of extract-matches-from-topic0.js is not used here).
+//
+// Writes public/live.json:
+//   { updatedAtUtc, scan, maxIdleHours, tournaments: [{ tournamentId, tier, capacity, entrantsSeen,
+//     matchesPlayed, currentRound, rounds: [{ round, name, played, expected }], alive, lastMatch, issues, bracket }] }
+// alive lists the entrants seen so far without a loss; players with a bye who
+// have not played yet only show up once they do. The file is rewritten only
+// when the live tournaments change, so a short-interval job has nothing to
+// commit while nothing moves; readers compute the time since lastMatch.atUtc.
+//
+// Env:
+//   LIVE_MAX_IDLE_HOURS   (default 24)
+//   LIVE_INTERVAL_SEC     seconds between scans with --watch (default 60)
+//   MATCH_TOPIC0, TOURNAMENT_DIAMOND, REORG_MARGIN_BLOCKS   as in extract-matches-from-topic0.js
+//   RPC_URL / RPC_URLS    see rpc-logs.js
+//
+// Usage:
+//   node scripts/live-tournaments.js            one scan
+//   node scripts/live-tournaments.js --watch    scan every LIVE_INTERVAL_SEC until stopped
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { buildBracket, sortMatchesChronologically } from "./build-tournament-results.js";
+import { loadOverrides } from "./overrides.js";
+import { createLogClient } from "./rpc-logs.js";
+import { readJson, writeJson } from "./utils.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = process.cwd();
+const MATCHES_PATH = path.join(ROOT, "public", "matches.json");
+const RANGES_PATH = path.join(ROOT, "public", "tournamentRanges.json");
+const OUT_PATH = path.join(ROOT, "public", "live.json");
+
+const CFG = {
+  DIAMOND: String(process.env.TOURNAMENT_DIAMOND || "0xc7681698B14a2381d9f1eD69FC3D27F33965b53B").toLowerCase(),
+  // Same default as update-all.js.
+  MATCH_TOPIC0: String(process.env.MATCH_TOPIC0 || "0x2b93f4474a262323163bea734586863c91186f8230b05f68ba8018bac0a65897").toLowerCase(),
+  REORG_MARGIN_BLOCKS: Number(process.env.REORG_MARGIN_BLOCKS || 200),
+  MAX_IDLE_HOURS: Number(process.env.LIVE_MAX_IDLE_HOURS || 24),
+  INTERVAL_SEC: Number(process.env.LIVE_INTERVAL_SEC || 60),
+  WATCH: process.argv.includes("--watch"),
+};
+
+function topicToAddress(topic) {
+  if (!topic || topic.length !== 66) return null;
+  const tail = topic.slice(26).toLowerCase();
+  return /^0+$/.test(tail) ? null : "0x" + tail;
+}
+
+/** A match-topic log as a matches.json row (match-data winner only). */
+export function decodeMatchLog(log) {
+  const t = log.topics || [];
+  const data = String(log.data || "0x").slice(2);
+  const word = (i) => (data.length >= (i + 1) * 64 ? "0x" + data.slice(i * 64, (i + 1) * 64) : null);
+
+  const playerA = topicToAddress(t[2]);
+  const playerB = topicToAddress(t[3]);
+  const code = word(0) != null ? BigInt(word(0)) : null;
+  const claimed = topicToAddress(word(1));
+  const winner = claimed && (claimed === playerA || claimed === playerB) ? claimed : null;
+
+  return {
+    matchId: t[1] ? Number(BigInt(t[1])) : null,
+    playerA,
+    playerB,
+    resultCode: code != null && code <= 1000000n ? Number(code) : null,
+    winner,
+    winnerSource: winner ? "matchDataWord1" : null,
+    blockNumber: log.blockNumber,
+    txHash: log.transactionHash,
+    logIndex: log.index,
+  };
+}
+
+/**
+ * Live entries for the tournaments in `rows` (matches.json rows) that have no
+ * champion yet. blockTime(blockNumber) resolves to unix seconds.
+ */
+export async function liveTournaments(rows, { blockTime, excluded = new Set(), tierOf = () => null, nowSec = Date.now() / 1000 }) {
+  const grouped = new Map();
+  for (const row of rows) {
+    if (row.matchId == null || excluded.has(String(row.matchId))) continue;
+    if (!grouped.has(row.matchId)) grouped.set(row.matchId, []);
+    grouped.get(row.matchId).push({
+      ...row,
+      playerA: row.playerA?.toLowerCase() ?? null,
+      playerB: row.playerB?.toLowerCase() ?? null,
+      winner: row.winner?.toLowerCase() ?? null,
+    });
+  }
+
+  const out = [];
+  for (const [matchId, list] of grouped) {
+    const ordered = sortMatchesChronologically(list);
+    const bracket = buildBracket(matchId, ordered);
+    if (bracket.champion) continue;
+
+    const last = ordered[ordered.length - 1];
+    const lastAt = await blockTime(last.blockNumber);
+    if (nowSec - lastAt > CFG.MAX_IDLE_HOURS * 3600) continue;
+
+    // Leading rounds made only of byes are left out, as in the site's bracket view.
+    const rounds = bracket.rounds
+      .filter((r) => r.expected > 0 || r.played > 0)
+      .map(({ round, name, played, expected }) => ({ round, name, played, expected }));
+
+    out.push({
+      tournamentId: bracket.tournamentId,
+      tier: tierOf(bracket.tournamentId),
+      capacity: bracket.capacity,
+      entrantsSeen: bracket.bracketSize,
+      matchesPlayed: ordered.length,
+      currentRound: rounds.find((r) => r.played < r.expected) ?? null,
+      rounds,
+      alive: bracket.players.filter((p) => p.eliminatedInRound == null).map((p) => p.wallet),
+      lastMatch: { blockNumber: last.blockNumber, txHash: last.txHash ?? null, atUtc: new Date(lastAt * 1000).toISOString() },
+      issues: bracket.issues.filter((i) => i.code !== "ROUND_INCOMPLETE"),
+      bracket,
+    });
+  }
+
+  return out.sort((a, b) => b.lastMatch.blockNumber - a.lastMatch.blockNumber);
+}
+
+async function scanOnce(client) {
+  const matchesDoc = readJson(MATCHES_PATH);
+  if (!Array.isArray(matchesDoc?.matches) || !matchesDoc.matches.length) {
+    console.log(`Skip live scan: no matches in ${MATCHES_PATH} (run update-all first).`);
+    return;
+  }
+  // Files written before extract-matches-from-topic0.js kept a cursor (and the
+  // subgraph export) resume from their newest row, as that script does.
+  const cursor = Number(matchesDoc.scan?.scannedToBlock) || Math.max(...matchesDoc.matches.map((m) => Number(m.blockNumber) || 0));
+
+  const head = await client.getBlockNumber();
+  const fromBlock = Math.max(0, Math.min(cursor, head) - CFG.REORG_MARGIN_BLOCKS + 1);
+  const logs = await client.getLogs({ address: CFG.DIAMOND, topics: [CFG.MATCH_TOPIC0], fromBlock, toBlock: head });
+  const fresh = logs.map(decodeMatchLog);
+
+  // Rows inside the re-read window are replaced by what was just fetched.
+  const kept = matchesDoc.matches.filter((m) => Number(m.blockNumber) < fromBlock || Number(m.blockNumber) > head);
+  const rows = [...kept, ...fresh];
+
+  const timeByBlock = new Map();
+  const blockTime = async (n) => {
+    if (!timeByBlock.has(n)) timeByBlock.set(n, Number((await client.getBlock(n)).timestamp));
+    return timeByBlock.get(n);
+  };
+  const ranges = readJson(RANGES_PATH, {})?.rangesByTournamentId || {};
+  const tierOf = (id) => {
+    const tier = ranges[String(id)]?.tier;
+    return tier === 10 || tier === 20 ? tier : null;
+  };
+  const excluded = new Set(loadOverrides().excludedTournaments.keys());
+
+  const tournaments = await liveTournaments(rows, { blockTime, excluded, tierOf });
+
+  const prev = readJson(OUT_PATH);
+  if (prev && JSON.stringify(prev.tournaments) === JSON.stringify(tournaments)) {
+    console.log(`[live] blocks ${fromBlock}..${head}: ${fresh.length} match logs, ${tournaments.length} live, unchanged`);
+    return;
+  }
+
+  writeJson(OUT_PATH, {
+    updatedAtUtc: new Date().toISOString(),
+    scan: {
+      matchesCursor: cursor,
+      fromBlock,
+      toBlock: head,
+      matchLogs: fresh.length,
+      newMatchLogs: fresh.filter((m) => m.blockNumber > cursor).length,
+    },
+    maxIdleHours: CFG.MAX_IDLE_HOURS,
+    tournaments,
+  });
+  console.log(`[live] blocks ${fromBlock}..${head}: ${fresh.length} match logs; wrote ${OUT_PATH} (${tournaments.length} live)`);
+}
+
+async function main() {
+  // Only the unconfirmed tip is read, which the log cache would never keep.
+  const client = createLogClient({ label: "live", cache: false });
+  if (!CFG.WATCH) return scanOnce(client);
+
+  console.log(`[live] scanning every ${CFG.INTERVAL_SEC}s`);
+  for (;;) {
+    await scanOnce(client).catch((e) => console.error(`[live] scan failed:`, e.message));
+    await new Promise((r) => setTimeout(r, CFG.INTERVAL_SEC * 1000));
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch((e) => {
+    console.error(`[live] fatal:`, e);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,41 @@
+// scripts/notify-stub-receiver.js
+//
+// Local webhook receiver for trying scripts/notify.js without Discord: prints
+// every JSON POST it gets and appends it to .cache/notify-received.jsonl.
+//
+// Usage:
+//   node scripts/notify-stub-receiver.js
+//   NOTIFY_WEBHOOK_URLS=http://127.0.0.1:8790/hook node scripts/notify.js
+//
+// Env:
+//   NOTIFY_STUB_PORT     (default 8790)
+//   NOTIFY_STUB_STATUS   HTTP status to answer with (default 204; e.g. 500 to test failures)
+
+import fs from "fs";
+import http from "http";
+import path from "path";
+
+const PORT = Number(process.env.NOTIFY_STUB_PORT || 8790);
+const STATUS = Number(process.env.NOTIFY_STUB_STATUS || 204);
+const LOG_PATH = path.join(process.cwd(), ".cache", "notify-received.jsonl");
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    let payload = null;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      payload = { unparsed: body };
+    }
+    const entry = { receivedAtUtc: new Date().toISOString(), method: req.method, path: req.url, payload };
+    console.log(JSON.stringify(entry, null, 2));
+    fs.mkdirSync(path.dirname(LOG_PATH), { recursive: true });
+    fs.appendFileSync(LOG_PATH, JSON.stringify(entry) + "\n");
+    res.writeHead(STATUS);
+    res.end();
+  });
+});
+
+server.listen(PORT, "127.0.0.1", () => console.log(`[notify-stub] listening on http://127.0.0.1:${PORT} (answering ${STATUS})`));
@@ -0,0 +1,253 @@
+// scripts/notify.js
+//
+// Pushes what changed in this update-all run to webhooks (Discord or any JSON
+// receiver).
+//
+// Each run is compared with the digest the previous run left in
+// public/notify-state.json (committed with the data, like
+// points-leaderboard.previous.json). Events:
+//   tournament.completed   newly complete tournaments with their podium
+//   league.leader          a new #1 on the current league's points board
+//   leaderboard.top10      rank moves into, within or out of the top 10
+//                          (board: "points" for the league, "wins" for lifetime wins)
+//   payouts.week           a payout week closed: total JEWEL and top earners
+// The first run (no state yet) only records the digest, so nothing floods out.
+//
+// Message formats, chosen per URL:
+//   Discord webhook URLs   { username, embeds: [{ title, description, url?, timestamp }] }
+//   anything else          { source, type, title, text, url, data, at }
+//
+// A failed post is logged and never fails update-all; the digest still
+// advances, so a webhook that was down misses those events rather than getting
+// them twice later.
+//
+// Env:
+//   NOTIFY_WEBHOOK_URLS    comma-separated webhook URLs (none: events are only logged)
+//   NOTIFY_DRY_RUN=1       print the payloads, post nothing, keep the old digest
+//   NOTIFY_MAX_TOURNAMENTS max tournament.completed messages per run (default 10; the rest are summed up)
+//   NOTIFY_SITE_URL        site base URL for player links (optional)
+//
+// Usage:
+//   node scripts/notify.js [--dry-run]
+//   node scripts/notify-stub-receiver.js   local receiver for testing, see there
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { readJson, writeJson } from "./utils.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = process.cwd();
+const PUBLIC_DIR = path.join(ROOT, "public");
+const STATE_PATH = path.join(PUBLIC_DIR, "notify-state.json");
+
+const CFG = {
+  WEBHOOK_URLS: String(process.env.NOTIFY_WEBHOOK_URLS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean),
+  DRY_RUN: process.env.NOTIFY_DRY_RUN === "1" || process.argv.includes("--dry-run"),
+  MAX_TOURNAMENTS: Number(process.env.NOTIFY_MAX_TOURNAMENTS || 10),
+  SITE_URL: String(process.env.NOTIFY_SITE_URL || "").replace(/\/+$/, ""),
+};
+
+const DISCORD_WEBHOOK_RE = /^https:\/\/(?:[a-z]+\.)?discord(?:app)?\.com\/api\/webhooks\//i;
+const TOP_N = 10;
+
+function loadOutputs() {
+  return {
+    results: readJson(path.join(PUBLIC_DIR, "tournament-results.json")),
+    points: readJson(path.join(PUBLIC_DIR, "points-leaderboard.json")),
+    leaderboard: readJson(path.join(PUBLIC_DIR, "leaderboard.json")),
+    payouts: readJson(path.join(PUBLIC_DIR, "payouts.json")),
+    profiles: readJson(path.join(PUBLIC_DIR, "profiles.json"), {}),
+  };
+}
+
+/** The small per-run summary the next run diffs against. */
+export function digestOf({ results, points, leaderboard, payouts }) {
+  const topRanks = (rows) =>
+    (Array.isArray(rows) ? rows : [])
+      .filter((r) => Number.isInteger(r?.rank) && r.rank <= TOP_N)
+      .map((r) => [String(r.wallet).toLowerCase(), r.rank]);
+
+  return {
+    completedTournaments: (results?.tournaments || [])
+      .filter((t) => t.status === "complete")
+      .map((t) => Number(t.tournamentId))
+      .sort((a, b) => a - b),
+    league: { key: points?.summary?.leagueKey ?? null, label: points?.summary?.leagueLabel ?? null },
+    top: { points: topRanks(points?.players), wins: topRanks(leaderboard?.leaderboard) },
+    closedPayoutWeeks: (payouts?.weeks || []).filter((w) => w.status === "closed").map((w) => w.weekStartUtc).sort(),
+  };
+}
+
+/** Events between two digests. `outputs` supplies the details (podiums, payouts). */
+export function diffEvents(prev, next, outputs, nameOf) {
+  const events = [];
+  const fmt = (n) => Number(n).toLocaleString("en-US");
+
+  // Tournaments, oldest first; past the cap they are summed up in one message.
+  const seen = new Set(prev.completedTournaments);
+  const fresh = next.completedTournaments.filter((id) => !seen.has(id));
+  const byId = new Map((outputs.results?.tournaments || []).map((t) => [Number(t.tournamentId), t]));
+  const shown = fresh.slice(-CFG.MAX_TOURNAMENTS);
+  if (fresh.length > shown.length) {
+    const skipped = fresh.slice(0, fresh.length - shown.length);
+    events.push({
+      type: "tournament.completed",
+      title: `${skipped.length} more tournaments completed`,
+      lines: [`Tournaments ${skipped[0]}–${skipped[skipped.length - 1]}`],
+      data: { tournamentIds: skipped },
+    });
+  }
+  for (const id of shown) {
+    const t = byId.get(id);
+    const p = t?.placements || {};
+    const thirds = Array.isArray(p.thirds) ? p.thirds : [];
+    events.push({
+      type: "tournament.completed",
+      title: `Tournament ${id} complete`,
+      url: `https://game.defikingdoms.com/registry/tournaments/${id}`,
+      lines: [
+        `🥇 ${nameOf(p.first)}`,
+        `🥈 ${nameOf(p.second)}`,
+        ...(thirds.length ? [`🥉 ${thirds.map(nameOf).join(", ")}`] : []),
+        `${t?.bracketSize ?? "?"} players`,
+      ],
+      data: { tournamentId: id, bracketSize: t?.bracketSize ?? null, podium: { first: p.first ?? null, second: p.second ?? null, thirds } },
+    });
+  }
+
+  // League leader: only within one league; a new league starts a fresh board.
+  const prevLeader = prev.top.points.find(([, r]) => r === 1)?.[0] ?? null;
+  const leaderRow = (outputs.points?.players || []).find((r) => r.rank === 1);
+  const leader = leaderRow ? String(leaderRow.wallet).toLowerCase() : null;
+  if (leader && (leader !== prevLeader || prev.league.key !== next.league.key)) {
+    const newLeague = prev.league.key !== next.league.key;
+    events.push({
+      type: "league.leader",
+      title: `${newLeague ? "First leader" : "New leader"} in ${next.league.label || next.league.key}`,
+      url: playerUrl(leader),
+      lines: [`👑 ${nameOf(leader)} with ${fmt(leaderRow.points)} points`, ...(prevLeader && !newLeague ? [`Previous leader: ${nameOf(prevLeader)}`] : [])],
+      data: { leagueKey: next.league.key, leader, points: leaderRow.points, previousLeader: newLeague ? null : prevLeader },
+    });
+  }
+
+  // Top-10 moves. The points board is compared within the same league only.
+  for (const board of ["points", "wins"]) {
+    if (board === "points" && prev.league.key !== next.league.key) continue;
+    const before = new Map(prev.top[board]);
+    const after = new Map(next.top[board]);
+    const moves = [];
+    for (const [wallet, rank] of after) {
+      const from = before.get(wallet) ?? null;
+      if (from !== rank) moves.push({ wallet, from, to: rank });
+    }
+    for (const [wallet, from] of before) if (!after.has(wallet)) moves.push({ wallet, from, to: null });
+    if (!moves.length) continue;
+
+    moves.sort((a, b) => (a.to ?? 99) - (b.to ?? 99));
+    const arrow = (m) => (m.to == null ? `out of the top ${TOP_N} (was #${m.from})` : m.from == null ? `new at #${m.to}` : `#${m.from} → #${m.to}`);
+    events.push({
+      type: "leaderboard.top10",
+      title: board === "points" ? `Top ${TOP_N} moves in ${next.league.label || next.league.key}` : `Top ${TOP_N} moves on the lifetime wins board`,
+      lines: moves.map((m) => `${nameOf(m.wallet)}: ${arrow(m)}`),
+      data: { board, leagueKey: board === "points" ? next.league.key : null, moves },
+    });
+  }
+
+  // Payout weeks that closed since the last run.
+  const announced = new Set(prev.closedPayoutWeeks);
+  for (const week of (outputs.payouts?.weeks || []).filter((w) => w.status === "closed" && !announced.has(w.weekStartUtc)).reverse()) {
+    const paid = week.payouts.filter((p) => p.totalJewel > 0);
+    const top = paid.slice(0, 3);
+    events.push({
+      type: "payouts.week",
+      title: `Week of ${week.weekStartUtc.slice(0, 10)}: ${fmt(week.totalJewel)} JEWEL earned`,
+      lines: [`${paid.length} wallets earned rewards`, ...top.map((p, i) => `${i + 1}. ${nameOf(p.wallet)} ${fmt(p.totalJewel)} JEWEL`)],
+      data: { weekStartUtc: week.weekStartUtc, totalJewel: week.totalJewel, paidWallets: paid.length, top: top.map((p) => ({ wallet: p.wallet, totalJewel: p.totalJewel })) },
+    });
+  }
+
+  return events;
+}
+
+function playerUrl(wallet) {
+  return CFG.SITE_URL && wallet ? `${CFG.SITE_URL}/#/player/${wallet}` : null;
+}
+
+export function payloadFor(url, event, at = new Date().toISOString()) {
+  if (DISCORD_WEBHOOK_RE.test(url)) {
+    return {
+      username: "DFK Tournament Leaderboard",
+      embeds: [{ title: event.title, description: event.lines.join("\n").slice(0, 4000), ...(event.url ? { url: event.url } : {}), timestamp: at }],
+    };
+  }
+  return { source: "dfk-tournament-leaderboard", type: event.type, title: event.title, text: event.lines.join("\n"), url: event.url ?? null, data: event.data, at };
+}
+
+async function post(url, body) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(15000),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status} ${(await res.text()).slice(0, 200)}`);
+}
+
+async function main() {
+  const outputs = loadOutputs();
+  if (!outputs.results || !outputs.points) {
+    console.log("[notify] tournament-results.json / points-leaderboard.json missing, nothing to compare");
+    return;
+  }
+
+  const next = digestOf(outputs);
+  const prevDoc = readJson(STATE_PATH);
+  if (!prevDoc?.digest) {
+    if (!CFG.DRY_RUN) writeJson(STATE_PATH, { updatedAtUtc: new Date().toISOString(), digest: next });
+    console.log(`[notify] no previous digest; ${CFG.DRY_RUN ? "dry run, nothing written" : "recorded this run, nothing sent"}`);
+    return;
+  }
+
+  const names = { ...(outputs.profiles?.namesByAddress || {}) };
+  for (const [w, a] of Object.entries(outputs.profiles?.aliasesByAddress || {})) if (a?.name) names[w] = a.name;
+  const nameOf = (w) => (w ? names[String(w).toLowerCase()] || `${w.slice(0, 6)}…${w.slice(-4)}` : "—");
+
+  const events = diffEvents(prevDoc.digest, next, outputs, nameOf);
+  console.log(`[notify] ${events.length} event(s): ${events.map((e) => e.type).join(", ") || "none"}`);
+
+  const at = new Date().toISOString();
+  if (CFG.DRY_RUN) {
+    for (const e of events) {
+      for (const url of CFG.WEBHOOK_URLS.length ? CFG.WEBHOOK_URLS : ["(no webhook configured)"]) {
+        console.log(`[notify] dry run -> ${url}\n${JSON.stringify(payloadFor(url, e, at), null, 2)}`);
+      }
+    }
+    return;
+  }
+
+  let failed = 0;
+  for (const e of events) {
+    for (const url of CFG.WEBHOOK_URLS) {
+      try {
+        await post(url, payloadFor(url, e, at));
+      } catch (err) {
+        failed++;
+        console.warn(`[notify] ${e.type} to ${new URL(url).host} failed: ${err.message}`);
+      }
+    }
+  }
+  if (!CFG.WEBHOOK_URLS.length && events.length) console.log("[notify] NOTIFY_WEBHOOK_URLS not set; events logged only");
+
+  writeJson(STATE_PATH, { updatedAtUtc: at, digest: next });
+  console.log(`[notify] sent ${events.length * CFG.WEBHOOK_URLS.length - failed} message(s)${failed ? `, ${failed} failed` : ""}`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch((e) => {
+    // Notifications are best effort: never stop update-all over them.
+    console.error(`[notify] error:`, e);
+  });
+}
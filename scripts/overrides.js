@@ -0,0 +1,154 @@
+// scripts/overrides.js
+//
+// Manual corrections live in overrides.json at the repo root: committed and
+// reviewed like code, and re-applied by the build scripts on every run (so a
+// fix no longer disappears with the next update-all).
+//
+// overrides.json (version 1):
+//   tiers:               { "<tournamentId>": { tier: 10 | 20, note? } }
+//   placements:          { "<tournamentId>": { first, second, thirds: [...], fourth?, note? } }
+//                        (fourth only next to a single third: tied thirds have no fourth)
+//   excludedTournaments: { "<tournamentId>": { note? } }
+//   disqualifications:   { "<wallet>": { mode: "hold" | "bottom", label?, note? } }
+//   aliases:             { "<wallet>": { name?, discord?, note? } }
+//   identities:          { "<identityId>": { name?, wallets: [...], note? } }
+//
+// Who applies what (each reports it as `overridesApplied` in its output's summary):
+//   tiers                tier-resolver.js (the "manual" tier source)
+//   placements           build-tournament-results.js
+//   excludedTournaments  pull-wins-tier-from-logs-post22m-lookback.js, build-tournament-results.js,
+//                        build-ratings.js (points follow tournament-results)
+//   disqualifications    build-points-leaderboard.js (points board only)
+//   aliases              resolve-profiles-community-api.js
+//   identities           identities.js (wallet links, see there)
+//
+// A malformed file throws: a build should stop rather than silently drop a correction.
+
+import fs from "fs";
+import path from "path";
+
+export const OVERRIDES_PATH = path.join(process.cwd(), "overrides.json");
+export const OVERRIDES_VERSION = 1;
+
+const DQ_MODES = new Set(["hold", "bottom"]);
+const WALLET_RE = /^0x[0-9a-f]{40}$/;
+const TID_RE = /^\d+$/;
+const IDENTITY_ID_RE = /^[a-z0-9][a-z0-9._-]*$/;
+
+function lowerWallet(w, where) {
+  const out = String(w || "").trim().toLowerCase();
+  if (!WALLET_RE.test(out)) throw new Error(`overrides.json ${where}: invalid wallet "${w}"`);
+  return out;
+}
+
+function tournamentKey(tid, where) {
+  const out = String(tid).trim();
+  if (!TID_RE.test(out)) throw new Error(`overrides.json ${where}: invalid tournament id "${tid}"`);
+  return out;
+}
+
+function note(v) {
+  return typeof v?.note === "string" && v.note.trim() ? v.note.trim() : null;
+}
+
+function section(doc, name) {
+  const v = doc?.[name];
+  if (v == null) return {};
+  if (typeof v !== "object" || Array.isArray(v)) throw new Error(`overrides.json: "${name}" must be an object`);
+  return v;
+}
+
+/** The raw document, or an empty version-1 document when the file does not exist. */
+export function readOverridesDoc(file = OVERRIDES_PATH) {
+  if (!fs.existsSync(file)) return { version: OVERRIDES_VERSION };
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+export function writeOverridesDoc(doc, file = OVERRIDES_PATH) {
+  fs.writeFileSync(file, JSON.stringify(doc, null, 2) + "\n", "utf8");
+}
+
+/** Load and validate overrides.json into lookup maps keyed by tournament id / lowercase wallet. */
+export function loadOverrides(file = OVERRIDES_PATH) {
+  const doc = readOverridesDoc(file);
+  const version = Number(doc.version ?? OVERRIDES_VERSION);
+  if (version !== OVERRIDES_VERSION) {
+    throw new Error(`overrides.json: unsupported version ${doc.version} (expected ${OVERRIDES_VERSION})`);
+  }
+
+  const tiers = new Map();
+  for (const [tid, v] of Object.entries(section(doc, "tiers"))) {
+    const key = tournamentKey(tid, "tiers");
+    const tier = Number(typeof v === "object" ? v?.tier : v);
+    if (tier !== 10 && tier !== 20) throw new Error(`overrides.json tiers.${key}: tier must be 10 or 20`);
+    tiers.set(key, { tier, note: note(v) });
+  }
+
+  const placements = new Map();
+  for (const [tid, v] of Object.entries(section(doc, "placements"))) {
+    const key = tournamentKey(tid, "placements");
+    const where = `placements.${key}`;
+    const thirds = (Array.isArray(v?.thirds) ? v.thirds : []).map((w) => lowerWallet(w, where));
+    if (v?.fourth && thirds.length !== 1) throw new Error(`overrides.json ${where}: fourth needs exactly one entry in thirds`);
+    placements.set(key, {
+      first: v?.first ? lowerWallet(v.first, where) : null,
+      second: v?.second ? lowerWallet(v.second, where) : null,
+      thirds,
+      fourth: v?.fourth ? lowerWallet(v.fourth, where) : null,
+      note: note(v),
+    });
+  }
+
+  const excludedTournaments = new Map();
+  for (const [tid, v] of Object.entries(section(doc, "excludedTournaments"))) {
+    excludedTournaments.set(tournamentKey(tid, "excludedTournaments"), { note: note(v) });
+  }
+
+  const disqualifications = new Map();
+  for (const [wallet, v] of Object.entries(section(doc, "disqualifications"))) {
+    const key = lowerWallet(wallet, "disqualifications");
+    const mode = v?.mode ?? "hold";
+    if (!DQ_MODES.has(mode)) throw new Error(`overrides.json disqualifications.${key}: mode must be "hold" or "bottom"`);
+    disqualifications.set(key, { mode, label: String(v?.label || "Disqualified"), note: note(v) });
+  }
+
+  const aliases = new Map();
+  for (const [wallet, v] of Object.entries(section(doc, "aliases"))) {
+    const key = lowerWallet(wallet, "aliases");
+    const name = typeof v?.name === "string" && v.name.trim() ? v.name.trim() : null;
+    const discord = typeof v?.discord === "string" && v.discord.trim() ? v.discord.trim() : null;
+    if (!name && !discord) throw new Error(`overrides.json aliases.${key}: needs a name or discord`);
+    aliases.set(key, { name, discord, note: note(v) });
+  }
+
+  const identities = new Map();
+  const identityOf = new Map();
+  for (const [id, v] of Object.entries(section(doc, "identities"))) {
+    if (!IDENTITY_ID_RE.test(id)) throw new Error(`overrides.json identities: invalid id "${id}" (lowercase a-z, 0-9, . _ -)`);
+    const where = `identities.${id}`;
+    const wallets = [...new Set((Array.isArray(v?.wallets) ? v.wallets : []).map((w) => lowerWallet(w, where)))];
+    if (!wallets.length) throw new Error(`overrides.json ${where}: needs at least one wallet`);
+    for (const w of wallets) {
+      if (identityOf.has(w)) throw new Error(`overrides.json ${where}: ${w} is already linked to "${identityOf.get(w)}"`);
+      identityOf.set(w, id);
+    }
+    const name = typeof v?.name === "string" && v.name.trim() ? v.name.trim() : null;
+    identities.set(id, { name, wallets, note: note(v) });
+  }
+
+  return {
+    version,
+    updatedAtUtc: doc.updatedAtUtc ?? null,
+    tiers,
+    placements,
+    excludedTournaments,
+    disqualifications,
+    aliases,
+    identities,
+  };
+}
+
+/** One `overridesApplied` row: { type, id, ...detail, note }. */
+export function appliedOverride(type, id, detail = {}, entry = null) {
+  return { type, id: String(id), ...detail, note: entry?.note ?? null };
+}
@@ -0,0 +1,102 @@
+// scripts/pull-matches-from-subgraph.js
+//
+// Build public/matches.json from the subgraph's Match entities instead of a
+// multi-million-block getLogs sweep (see extract-matches-from-topic0.js).
+// The payload keeps the same shape, so build-tournament-results.js and
+// build-points-leaderboard.js read it unchanged.
+//
+// Usage:
+//   SUBGRAPH_ENDPOINT=... node scripts/pull-matches-from-subgraph.js
+//
+// update-all.js uses this step instead of the log scan when MATCHES_SOURCE=subgraph.
+
+import fs from "fs";
+import path from "path";
+import { gql } from "./graphql.js";
+
+const ENDPOINT =
+  process.env.SUBGRAPH_ENDPOINT ||
+  "https://api.studio.thegraph.com/query/1742426/tournament-leaderboards/1.7";
+
+const OUT = process.env.OUT || path.join("public", "matches.json");
+const PAGE_SIZE = 1000;
+
+// Paginate on id_gt: The Graph caps `skip` at 5000 and we have more matches than that.
+const MATCHES_QUERY = `
+  query($first: Int!, $lastId: ID!) {
+    matches(first: $first, where: { id_gt: $lastId }, orderBy: id, orderDirection: asc) {
+      id
+      tournamentId
+      playerA { id }
+      playerB { id }
+      resultCode
+      winner { id }
+      blockNumber
+      txHash
+      logIndex
+    }
+  }
+`;
+
+function normalizeAddress(addr) {
+  return typeof addr === "string" ? addr.toLowerCase() : null;
+}
+
+async function fetchAllMatches() {
+  const all = [];
+  let lastId = "";
+
+  while (true) {
+    const data = await gql(ENDPOINT, MATCHES_QUERY, { first: PAGE_SIZE, lastId });
+    const batch = data?.matches || [];
+    all.push(...batch);
+    console.log(`[subgraph-matches] batch=${batch.length} total=${all.length}`);
+
+    if (batch.length < PAGE_SIZE) break;
+    lastId = batch[batch.length - 1].id;
+  }
+
+  return all;
+}
+
+async function main() {
+  console.log("subgraph:", ENDPOINT);
+
+  const rows = await fetchAllMatches();
+
+  const matches = rows
+    .map((m) => ({
+      matchId: Number(m.tournamentId),
+      playerA: normalizeAddress(m.playerA?.id),
+      playerB: normalizeAddress(m.playerB?.id),
+      resultCode: Number(m.resultCode),
+      winner: normalizeAddress(m.winner?.id),
+      winnerSource: m.winner ? "subgraph" : null,
+      blockNumber: Number(m.blockNumber),
+      txHash: m.txHash,
+      logIndex: Number(m.logIndex),
+    }))
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  const winnersFound = matches.filter((m) => m.winner).length;
+
+  const payload = {
+    updatedAtUtc: new Date().toISOString(),
+    source: "subgraph",
+    subgraphEndpoint: ENDPOINT,
+    totalMatchLogs: matches.length,
+    winnersFound,
+    matches,
+  };
+
+  fs.mkdirSync(path.dirname(OUT), { recursive: true });
+  fs.writeFileSync(OUT, JSON.stringify(payload, null, 2));
+
+  console.log(`wrote ${OUT}`);
+  console.log(`matches=${matches.length} winnersFound=${winnersFound}`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -5,6 +5,7 @@
 //
 // Usage:
 //   RPC_URL=... node scripts/pull-votes-from-logs.js <startBlock> <endBlock>
+//   (RPC_URLS / LOG_CHUNK_BLOCKS etc. are read by rpc-logs.js)
 //
 // Outputs (in ./public):
 //   votes-ledger.json          (raw decoded words)
@@ -23,6 +24,7 @@
 import fs from "fs";
 import path from "path";
 import { ethers } from "ethers";
+import { createLogClient } from "./rpc-logs.js";
 
 const VOTE_CONTRACT = "0xc7681698B14a2381d9f1eD69FC3D27F33965b53B";
 const VOTE_TOPIC0 =
@@ -30,12 +32,6 @@ const VOTE_TOPIC0 =
 
 const WORD_KEYS = ["w0", "w1", "w2", "w3", "w4", "w5"];
 
-function requireEnv(name) {
-  const v = process.env[name];
-  if (!v) throw new Error(`Missing env var ${name}`);
-  return v;
-}
-
 function splitWords(dataHex) {
   const data = dataHex.startsWith("0x") ? dataHex.slice(2) : dataHex;
   const words = [];
@@ -141,17 +137,16 @@ function buildAggregates(votesRows) {
 }
 
 async function main() {
-  const rpcUrl = requireEnv("RPC_URL");
   const startBlock = Number(process.argv[2]);
   const endBlock = Number(process.argv[3]);
   if (!Number.isFinite(startBlock) || !Number.isFinite(endBlock) || endBlock < startBlock) {
     throw new Error("Usage: node scripts/pull-votes-from-logs.js <startBlock> <endBlock>");
   }
 
-  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const client = createLogClient({ label: "votes" });
   console.log(`Scanning blocks: ${startBlock} -> ${endBlock}`);
 
-  const logs = await provider.getLogs({
+  const logs = await client.getLogs({
     address: VOTE_CONTRACT,
     fromBlock: startBlock,
     toBlock: endBlock,
@@ -163,7 +158,7 @@ async function main() {
   const tsCache = new Map();
   async function getTimestamp(blockNumber) {
     if (tsCache.has(blockNumber)) return tsCache.get(blockNumber);
-    const b = await provider.getBlock(blockNumber);
+    const b = await client.getBlock(blockNumber);
     const ts = Number(b.timestamp);
     tsCache.set(blockNumber, ts);
     return ts;
@@ -3,38 +3,31 @@
  * Writes: public/leaderboard.json  (NOT scripts/public/...)
  *
  * Adds correct earnings:
- *  lifetimeEarned = sum over weeks (L10 bracket payout + 60 * L20 wins)
+ *  lifetimeEarned = sum over weeks (L10 bracket payout + L20 per-win payout), each
+ *  week priced by the rewards.json entry in effect then (scripts/rewards-schedule.js)
  */
 
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { ethers } from "ethers";
+import { createLogClient, rpcUrlsFromEnv } from "./rpc-logs.js";
+import { appliedOverride, loadOverrides } from "./overrides.js";
+import { groupByIdentity, loadIdentities } from "./identities.js";
+import { loadRewardsSchedule, publicSchedule, rewardsAt, weeklyPayout } from "./rewards-schedule.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const DECODE_VERSION = "post22m-v1-flexpair";
 
-const REWARDS = {
-  L20_PER_WIN: 60,
-  L10_BRACKETS: [
-    { minWins: 10, jewel: 750 },
-    { minWins: 5, jewel: 300 },
-    { minWins: 3, jewel: 150 },
-  ],
-};
-
 const CFG = {
   SUBGRAPH_ENDPOINT:
     process.env.SUBGRAPH_ENDPOINT ||
     "https://api.studio.thegraph.com/query/1742426/tournament-leaderboards/1.7",
 
-  // accept either name
-  RPC:
-    process.env.RPC_URL ||
-    process.env.RPC ||
-    "https://andromeda.metis.io/?owner=1088",
+  // RPC_URL or RPC, plus optional RPC_URLS fallbacks (see rpc-logs.js)
+  RPC_URLS: rpcUrlsFromEnv("https://andromeda.metis.io/?owner=1088"),
 
   TOURNAMENT_DIAMOND:
     process.env.TOURNAMENT_DIAMOND ||
@@ -54,9 +47,6 @@ const CFG = {
   USE_CACHE: (process.env.USE_CACHE ?? "1") === "1",
 };
 
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
 function ensureDir(p) {
   fs.mkdirSync(p, { recursive: true });
 }
@@ -110,13 +100,6 @@ function weekStartUtcSeconds(tsSec) {
   return Math.floor(d.getTime() / 1000);
 }
 
-function l10BracketPayout(winsL10ThatWeek) {
-  for (const b of REWARDS.L10_BRACKETS) {
-    if (winsL10ThatWeek >= b.minWins) return b.jewel;
-  }
-  return 0;
-}
-
 function loadTierCache() {
   const raw = readJsonSafe(CFG.CACHE_FILE, null);
   const base = { byTournamentId: {} };
@@ -225,17 +208,20 @@ function inferTierNearestUnambiguous(words, tidWord) {
   return null;
 }
 
-async function findTierByLookback({ provider, diamond, tournamentId, winBlock }) {
+async function findTierByLookback({ client, diamond, tournamentId, winBlock }) {
   const tidWord = hex32FromU256(tournamentId);
   const start = Math.max(0, Number(winBlock) - Number(CFG.LOOKBACK_BLOCKS));
   const end = Number(winBlock);
+  const size = CFG.LOG_CHUNK_BLOCKS;
 
-  for (let toBlock = end; toBlock >= start; toBlock -= CFG.LOG_CHUNK_BLOCKS) {
-    const fromBlock = Math.max(start, toBlock - CFG.LOG_CHUNK_BLOCKS + 1);
+  // Walk back in windows aligned to LOG_CHUNK_BLOCKS: lookbacks of different
+  // tournaments overlap, and aligned windows hit the same log-cache segments.
+  for (let toBlock = end; toBlock >= start; toBlock = Math.floor(toBlock / size) * size - 1) {
+    const fromBlock = Math.max(start, Math.floor(toBlock / size) * size);
 
     let logs = [];
     try {
-      logs = await provider.getLogs({ address: diamond, fromBlock, toBlock });
+      logs = await client.getLogs({ address: diamond, fromBlock, toBlock });
     } catch (e) {
       return { tier: null, matchedBlock: null, error: String(e?.message || e) };
     }
@@ -250,8 +236,6 @@ async function findTierByLookback({ provider, diamond, tournamentId, winBlock })
 
       if (tier === 10 || tier === 20) return { tier, matchedBlock: Number(log.blockNumber) };
     }
-
-    if (CFG.THROTTLE_MS > 0) await sleep(CFG.THROTTLE_MS);
   }
 
   return { tier: null, matchedBlock: null };
@@ -300,7 +284,7 @@ async function gqlFetchAllTournamentWins(endpoint) {
   return all;
 }
 
-function computeEarnedByWalletFromWins(wins) {
+function computeEarnedByWalletFromWins(wins, rewardsSchedule) {
   const weekly = new Map(); // wallet -> weekStart -> {l10,l20}
 
   const nowSec = Math.floor(Date.now() / 1000);
@@ -338,7 +322,7 @@ function computeEarnedByWalletFromWins(wins) {
     let lastWeek = 0;
 
     for (const [wk, c] of weeks.entries()) {
-      const payout = l10BracketPayout(c.l10) + REWARDS.L20_PER_WIN * c.l20;
+      const payout = weeklyPayout(rewardsSchedule, wk * 1000, c.l10, c.l20).totalJewel;
       lifetime += payout;
       if (wk === thisWeekStart) thisWeek += payout;
       if (wk === lastWeekStart) lastWeek += payout;
@@ -350,7 +334,7 @@ function computeEarnedByWalletFromWins(wins) {
   return out;
 }
 
-function aggregateLeaderboardFromWins(wins) {
+function aggregateLeaderboardFromWins(wins, rewardsSchedule) {
   const by = new Map();
 
   for (const w of wins) {
@@ -374,7 +358,7 @@ function aggregateLeaderboardFromWins(wins) {
     by.set(wallet, cur);
   }
 
-  const earned = computeEarnedByWalletFromWins(wins);
+  const earned = computeEarnedByWalletFromWins(wins, rewardsSchedule);
 
   return [...by.values()]
     .sort((a, b) => b.totalWins - a.totalWins || b.lastWin - a.lastWin || a.wallet.localeCompare(b.wallet))
@@ -396,9 +380,20 @@ function aggregateLeaderboardFromWins(wins) {
     });
 }
 
+// Same rows per player (scripts/identities.js). Earnings are the linked wallets'
+// payouts added up: L10 brackets pay per wallet, so they are not re-bracketed here.
+function aggregateIdentityLeaderboard(rows, byWallet) {
+  return groupByIdentity(rows, byWallet, {
+    sum: ["lvl10Wins", "lvl20Wins", "totalWins", "lifetimeEarned", "thisWeekEarned", "lastWeekEarned"],
+    max: ["lastWin"],
+  })
+    .sort((a, b) => b.totalWins - a.totalWins || b.lastWin - a.lastWin || a.wallet.localeCompare(b.wallet))
+    .map((r, i) => ({ rank: i + 1, ...r }));
+}
+
 async function main() {
   console.log(`[post22m] subgraph: ${CFG.SUBGRAPH_ENDPOINT}`);
-  console.log(`[post22m] rpc: ${CFG.RPC}`);
+  console.log(`[post22m] rpc: ${CFG.RPC_URLS.join(", ")}`);
   console.log(`[post22m] diamond: ${CFG.TOURNAMENT_DIAMOND}`);
   console.log(`[post22m] startBlock: ${CFG.START_BLOCK}`);
   console.log(`[post22m] lookbackBlocks: ${CFG.LOOKBACK_BLOCKS}`);
@@ -409,12 +404,17 @@ async function main() {
   ensureDir(CFG.CACHE_DIR);
   const cache = loadTierCache();
 
-  const provider = new ethers.JsonRpcProvider(CFG.RPC);
+  const client = createLogClient({
+    label: "post22m",
+    rpcUrls: CFG.RPC_URLS,
+    chunkSize: CFG.LOG_CHUNK_BLOCKS,
+    throttleMs: CFG.THROTTLE_MS,
+  });
   const diamond = ethers.getAddress(CFG.TOURNAMENT_DIAMOND);
 
   const rawWins = await gqlFetchAllTournamentWins(CFG.SUBGRAPH_ENDPOINT);
 
-  const wins = rawWins
+  const pulledWins = rawWins
     .map((w) => ({
       id: w.id,
       tournamentId: Number(w.tournamentId),
@@ -425,6 +425,15 @@ async function main() {
     .filter((w) => w.wallet && Number.isFinite(w.tournamentId) && Number.isFinite(w.timestamp) && Number.isFinite(w.blockNumber))
     .filter((w) => w.blockNumber >= CFG.START_BLOCK);
 
+  // overrides.json excludedTournaments: dropped before tier lookups and totals.
+  const { excludedTournaments } = loadOverrides();
+  const overridesApplied = [];
+  for (const [tid, entry] of excludedTournaments) {
+    const winsDropped = pulledWins.filter((w) => String(w.tournamentId) === tid).length;
+    if (winsDropped) overridesApplied.push(appliedOverride("excludedTournament", tid, { winsDropped }, entry));
+  }
+  const wins = pulledWins.filter((w) => !excludedTournaments.has(String(w.tournamentId)));
+
   const tidToWinBlock = new Map();
   for (const w of wins) if (!tidToWinBlock.has(w.tournamentId)) tidToWinBlock.set(w.tournamentId, w.blockNumber);
   const tids = [...tidToWinBlock.keys()].sort((a, b) => a - b);
@@ -444,7 +453,7 @@ async function main() {
 
     console.log(`[post22m] ${i + 1}/${tids.length} tid=${tid} winBlock=${winBlock}`);
 
-    const found = await findTierByLookback({ provider, diamond, tournamentId: tid, winBlock });
+    const found = await findTierByLookback({ client, diamond, tournamentId: tid, winBlock });
 
     cache.byTournamentId = cache.byTournamentId || {};
     if (found?.tier === 10 || found?.tier === 20) {
@@ -484,7 +493,10 @@ async function main() {
     }
   }
 
-  const leaderboard = aggregateLeaderboardFromWins(wins);
+  const rewardsSchedule = loadRewardsSchedule();
+  const currentRewards = rewardsAt(rewardsSchedule, Date.now());
+  const leaderboard = aggregateLeaderboardFromWins(wins, rewardsSchedule);
+  const identityLeaderboard = aggregateIdentityLeaderboard(leaderboard, loadIdentities().byWallet);
 
   const out = {
     updatedAtUtc: new Date().toISOString(),
@@ -495,11 +507,14 @@ async function main() {
     totalWins: wins.length,
     uniqueTournaments: tids.length,
     unknownTierWins,
+    overridesApplied,
     rewards: {
-      lvl10Brackets: REWARDS.L10_BRACKETS,
-      lvl20PerWin: REWARDS.L20_PER_WIN,
+      // lvl10Brackets / lvl20PerWin: the rewards in effect now; past weeks use `schedule`.
+      lvl10Brackets: currentRewards.lvl10Brackets,
+      lvl20PerWin: currentRewards.lvl20PerWin,
+      schedule: publicSchedule(rewardsSchedule),
       weekStart: "Monday 00:00 UTC",
-      earnedDefinition: "Sum of weekly payouts over time (L10 bracket per week + L20 per-win per week).",
+      earnedDefinition: "Sum of weekly payouts over time (L10 bracket per week + L20 per-win per week), each week at the schedule entry in effect.",
     },
     wins: wins.map((w) => ({
       id: w.id,
@@ -510,6 +525,7 @@ async function main() {
       tier: w.tier,
     })),
     leaderboard,
+    identityLeaderboard,
   };
 
   ensureDir(path.dirname(CFG.OUT_JSON));
@@ -1,11 +1,13 @@
 import fs from "fs";
 import path from "path";
 import { ethers } from "ethers";
+import { createLogClient, rpcUrlsFromEnv } from "./rpc-logs.js";
 
 const SUBGRAPH_URL =
   "https://api.studio.thegraph.com/query/1742426/tournament-leaderboards/1.7";
 
-const RPC_URL = "https://andromeda.metis.io/?owner=1088";
+const RPC_URLS = rpcUrlsFromEnv("https://andromeda.metis.io/?owner=1088");
+const RPC_URL = RPC_URLS[0];
 const DIAMOND = "0xc7681698B14a2381d9f1eD69FC3D27F33965b53B";
 
 const OUT_FILE = path.join(process.cwd(), "public", "leaderboard.json");
@@ -109,7 +111,7 @@ function logMentionsTournamentId(log, tidWord) {
   return false;
 }
 
-async function scan(provider, tournamentId, winBlock, lookback) {
+async function scan(client, tournamentId, winBlock, lookback) {
   const tidWord = tidWordHex(tournamentId);
   const fromBlock = Math.max(0, winBlock - lookback);
   const toBlock = winBlock;
@@ -119,7 +121,7 @@ async function scan(provider, tournamentId, winBlock, lookback) {
 
     let logs = [];
     try {
-      logs = await provider.getLogs({ address: DIAMOND, fromBlock: start, toBlock: end });
+      logs = await client.getLogs({ address: DIAMOND, fromBlock: start, toBlock: end });
     } catch {
       continue;
     }
@@ -169,7 +171,7 @@ async function main() {
     }))
     .filter((w) => w.wallet && w.timestamp && w.tournamentId && w.blockNumber);
 
-  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const client = createLogClient({ label: "tier-logs-v2", rpcUrls: RPC_URLS, chunkSize: CHUNK_SIZE });
 
   const cache = loadCache();
   const tids = [...new Set(wins.map((w) => w.tournamentId))];
@@ -194,7 +196,7 @@ async function main() {
     if (!winBlock) continue;
 
     console.log(`[tier-logs-v2] FAST ${i + 1}/${missing.length} tid=${tid} winBlock=${winBlock}`);
-    const found = await scan(provider, Number(tid), winBlock, LOOKBACK_FAST);
+    const found = await scan(client, Number(tid), winBlock, LOOKBACK_FAST);
     if (found) {
       cache[tid] = { ...found, updatedAtUtc: nowUtcIso(), mode: "fast" };
       solvedFast++;
@@ -211,7 +213,7 @@ async function main() {
     if (!winBlock) continue;
 
     console.log(`[tier-logs-v2] SLOW ${i + 1}/${stillMissing.length} tid=${tid} winBlock=${winBlock}`);
-    const found = await scan(provider, Number(tid), winBlock, LOOKBACK_SLOW);
+    const found = await scan(client, Number(tid), winBlock, LOOKBACK_SLOW);
     if (found) {
       cache[tid] = { ...found, updatedAtUtc: nowUtcIso(), mode: "slow" };
       solvedSlow++;
@@ -1,11 +1,13 @@
 import fs from "fs";
 import path from "path";
 import { ethers } from "ethers";
+import { createLogClient, rpcUrlsFromEnv } from "./rpc-logs.js";
 
 const SUBGRAPH_URL =
   "https://api.studio.thegraph.com/query/1742426/tournament-leaderboards/1.7";
 
-const RPC_URL = "https://andromeda.metis.io/?owner=1088";
+const RPC_URLS = rpcUrlsFromEnv("https://andromeda.metis.io/?owner=1088");
+const RPC_URL = RPC_URLS[0];
 const DIAMOND = "0xc7681698B14a2381d9f1eD69FC3D27F33965b53B";
 
 const SCAN_MIN_BLOCK = 21000000; // ✅ your requested floor (log scans only)
@@ -94,7 +96,7 @@ function logMentionsTid(log,tidWord){
   return false;
 }
 
-async function scan(provider,tid,winBlock,lookback){
+async function scan(client,tid,winBlock,lookback){
   const fromBlock=Math.max(SCAN_MIN_BLOCK, winBlock-lookback);
   const toBlock=winBlock;
   const tidWord=tidWordHex(tid);
@@ -103,7 +105,7 @@ async function scan(provider,tid,winBlock,lookback){
     const end=Math.min(toBlock,start+CHUNK_SIZE-1);
     let logs=[];
     try{
-      logs=await provider.getLogs({ address: DIAMOND, fromBlock:start, toBlock:end });
+      logs=await client.getLogs({ address: DIAMOND, fromBlock:start, toBlock:end });
     }catch{ continue; }
 
     for(const log of logs){
@@ -151,7 +153,7 @@ async function main(){
 
   console.log("[v3-scanfloor] wins:", wins.length);
 
-  const provider=new ethers.JsonRpcProvider(RPC_URL);
+  const client = createLogClient({ label: "tier-logs-v3", rpcUrls: RPC_URLS, chunkSize: CHUNK_SIZE });
   const cache=loadCache();
 
   // Unique tournament ids
@@ -173,11 +175,11 @@ async function main(){
     if(!winBlock) continue;
 
     console.log(`[v3-scanfloor] FAST ${i+1}/${missing.length} tid=${tid}`);
-    let found=await scan(provider,Number(tid),winBlock,LOOKBACK_FAST);
+    let found=await scan(client,Number(tid),winBlock,LOOKBACK_FAST);
 
     if(!found){
       console.log(`[v3-scanfloor] SLOW ${i+1}/${missing.length} tid=${tid}`);
-      found=await scan(provider,Number(tid),winBlock,LOOKBACK_SLOW);
+      found=await scan(client,Number(tid),winBlock,LOOKBACK_SLOW);
     }
 
     if(found){
@@ -15,11 +15,13 @@
 import fs from "fs";
 import path from "path";
 import { ethers } from "ethers";
+import { createLogClient, rpcUrlsFromEnv } from "./rpc-logs.js";
 
 const SUBGRAPH_URL =
   "https://api.studio.thegraph.com/query/1742426/tournament-leaderboards/1.7";
 
-const RPC_URL = "https://andromeda.metis.io/?owner=1088";
+const RPC_URLS = rpcUrlsFromEnv("https://andromeda.metis.io/?owner=1088");
+const RPC_URL = RPC_URLS[0];
 const DIAMOND = "0xc7681698B14a2381d9f1eD69FC3D27F33965b53B";
 
 const OUT_FILE = path.join(process.cwd(), "public", "leaderboard.json");
@@ -135,7 +137,7 @@ function extractTierFromWords(words) {
   return hits.some(h => h.v === 20) ? 20 : 10;
 }
 
-async function scanLogsForTournamentTier(provider, tournamentId, winBlock) {
+async function scanLogsForTournamentTier(client, tournamentId, winBlock) {
   const tidWord = tournamentIdWordHex(tournamentId);
 
   const fromBlock = Math.max(0, winBlock - LOOKBACK_BLOCKS);
@@ -148,16 +150,13 @@ async function scanLogsForTournamentTier(provider, tournamentId, winBlock) {
 
     let logs = [];
     try {
-      logs = await provider.getLogs({
+      logs = await client.getLogs({
         address: DIAMOND,
         fromBlock: start,
         toBlock: end,
       });
     } catch {
-      // If provider is picky about range, shrink
-      if (CHUNK_SIZE > 200) {
-        // fall back to smaller chunk by stepping slower next time
-      }
+      // rpc-logs.js already shrank the window and retried; skip this chunk
       continue;
     }
 
@@ -225,7 +224,7 @@ async function main() {
 
   console.log(`[tier-logs] normalized wins=${wins.length}`);
 
-  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const client = createLogClient({ label: "tier-logs", rpcUrls: RPC_URLS, chunkSize: CHUNK_SIZE });
 
   // 2) cache
   const cache = loadCache(); // { [tournamentId]: { tier, matchedBlock, txHash, updatedAtUtc } }
@@ -251,7 +250,7 @@ async function main() {
 
     console.log(`[tier-logs] scan ${i + 1}/${missing.length} tournamentId=${tid} winBlock=${winBlock}`);
 
-    const found = await scanLogsForTournamentTier(provider, Number(tid), winBlock);
+    const found = await scanLogsForTournamentTier(client, Number(tid), winBlock);
     if (found && (found.tier === 10 || found.tier === 20)) {
       cache[tid] = { ...found, updatedAtUtc: nowUtcIso() };
       solved++;
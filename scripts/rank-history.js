@@ -0,0 +1,135 @@
+// scripts/rank-history.js
+//
+// Rank snapshots for the movement arrows and sparklines on the site.
+//
+// Each update-all run appends one snapshot of the lifetime wins ranks
+// (public/leaderboard.json) and the current league's points ranks
+// (public/points-leaderboard.json) to public/rank-history.json. A run whose ranks
+// match the latest snapshot adds nothing: a snapshot holds until the next one.
+//
+// Retention:
+//   the last RANK_HISTORY_RAW_DAYS (default 7) keep every snapshot;
+//   older ones are compacted to the last snapshot of each UTC day;
+//   daily snapshots older than RANK_HISTORY_KEEP_DAYS (default 180) are dropped.
+//
+// Format (compact: wallets are stored once and referenced by index):
+//   wallets:   ["0x…", …]
+//   snapshots: [{ at, league, wins: [[walletIndex, rank], …], points: [[walletIndex, rank], …] }]
+//
+// Usage:
+//   node scripts/rank-history.js
+
+import fs from "fs";
+import path from "path";
+import { readJson } from "./utils.js";
+
+const ROOT = process.cwd();
+const LEADERBOARD_PATH = path.join(ROOT, "public", "leaderboard.json");
+const POINTS_PATH = path.join(ROOT, "public", "points-leaderboard.json");
+const OUT_PATH = path.join(ROOT, "public", "rank-history.json");
+
+const DAY_MS = 24 * 3600 * 1000;
+const RAW_DAYS = Number(process.env.RANK_HISTORY_RAW_DAYS || 7);
+const KEEP_DAYS = Number(process.env.RANK_HISTORY_KEEP_DAYS || 180);
+
+function rankMap(rows) {
+  const out = new Map();
+  for (const r of Array.isArray(rows) ? rows : []) {
+    const wallet = String(r?.wallet || "").toLowerCase();
+    const rank = Number(r?.rank);
+    // Disqualified points rows have no rank and stay out of the history.
+    if (wallet && Number.isInteger(rank) && rank > 0) out.set(wallet, rank);
+  }
+  return out;
+}
+
+function sameRanks(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** Keep recent snapshots, then the last one per UTC day, then nothing. */
+function compactSnapshots(snapshots, nowMs = Date.now()) {
+  const rawFrom = nowMs - RAW_DAYS * DAY_MS;
+  const keepFrom = nowMs - KEEP_DAYS * DAY_MS;
+  const lastOfDay = new Map();
+  const recent = [];
+
+  for (const s of snapshots) {
+    const ms = Date.parse(s.at);
+    if (!Number.isFinite(ms) || ms < keepFrom) continue;
+    if (ms >= rawFrom) recent.push(s);
+    else lastOfDay.set(s.at.slice(0, 10), s);
+  }
+
+  return [...lastOfDay.values(), ...recent].sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+}
+
+// Drop wallets no snapshot refers to any more and renumber the rest.
+function reindex(wallets, snapshots) {
+  const used = new Set(snapshots.flatMap((s) => [...s.wins, ...s.points].map(([i]) => i)));
+  const next = new Map();
+  const out = [];
+  wallets.forEach((w, i) => {
+    if (!used.has(i)) return;
+    next.set(i, out.length);
+    out.push(w);
+  });
+  const remap = (pairs) => pairs.map(([i, rank]) => [next.get(i), rank]);
+  return { wallets: out, snapshots: snapshots.map((s) => ({ ...s, wins: remap(s.wins), points: remap(s.points) })) };
+}
+
+function main() {
+  const leaderboard = readJson(LEADERBOARD_PATH);
+  if (!Array.isArray(leaderboard?.leaderboard)) throw new Error(`Missing leaderboard[] in ${LEADERBOARD_PATH}`);
+  const points = readJson(POINTS_PATH);
+
+  const history = readJson(OUT_PATH, null) || {};
+  const wallets = Array.isArray(history.wallets) ? [...history.wallets] : [];
+  let snapshots = Array.isArray(history.snapshots) ? history.snapshots : [];
+
+  const indexOf = new Map(wallets.map((w, i) => [w, i]));
+  const pairs = (ranks) =>
+    [...ranks]
+      .map(([wallet, rank]) => {
+        if (!indexOf.has(wallet)) {
+          indexOf.set(wallet, wallets.length);
+          wallets.push(wallet);
+        }
+        return [indexOf.get(wallet), rank];
+      })
+      .sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+
+  const now = new Date();
+  const snapshot = {
+    at: now.toISOString(),
+    league: points?.summary?.leagueKey ?? null,
+    wins: pairs(rankMap(leaderboard.leaderboard)),
+    points: pairs(rankMap(points?.players)),
+  };
+
+  const latest = snapshots[snapshots.length - 1];
+  const unchanged =
+    latest && latest.league === snapshot.league && sameRanks(latest.wins, snapshot.wins) && sameRanks(latest.points, snapshot.points);
+  if (!unchanged) snapshots.push(snapshot);
+
+  const before = snapshots.length;
+  snapshots = compactSnapshots(snapshots, now.getTime());
+  const out = reindex(wallets, snapshots);
+
+  fs.mkdirSync(path.dirname(OUT_PATH), { recursive: true });
+  fs.writeFileSync(
+    OUT_PATH,
+    JSON.stringify({
+      updatedAtUtc: now.toISOString(),
+      retention: { rawDays: RAW_DAYS, keepDays: KEEP_DAYS },
+      wallets: out.wallets,
+      snapshots: out.snapshots,
+    }) + "\n"
+  );
+
+  console.log(
+    `Wrote ${OUT_PATH}: ${out.snapshots.length} snapshots (${unchanged ? "ranks unchanged, none added" : "1 added"}, ${before - out.snapshots.length} compacted), ${out.wallets.length} wallets`
+  );
+}
+
+main();
@@ -0,0 +1,236 @@
+// scripts/reconcile-payouts.js
+//
+// Checks the weekly JEWEL payouts that organisers send by hand against the
+// ledger in public/payouts.json (scripts/build-payouts.js).
+//
+// Reads the JEWEL Transfer logs sent from the payer wallet and gives every
+// closed wallet-week one status:
+//   paid        received the owed amount (within PAYOUT_TOLERANCE_JEWEL)
+//   underpaid   received something, but less
+//   overpaid    received more
+//   pending     nothing yet, week ended less than PAYOUT_GRACE_DAYS ago
+//   missed      nothing, and the grace period is over
+// The open (current) week is not payable yet and is left out. Transfers to
+// wallets that were owed nothing are listed as unmatchedTransfers.
+//
+// Matching, per recipient wallet (a transfer always belongs to one week whole):
+//   1. a transfer of exactly the owed amount, sent after the week ended, pays
+//      the oldest such week;
+//   2. any other transfer goes to the latest week that ended before it was
+//      sent and is not covered yet, else to the latest such week (overpaid).
+//
+// Env:
+//   PAYOUT_PAYER_WALLET      wallet the organisers pay from (required)
+//   JEWEL_TOKEN              JEWEL token contract on the RPC's chain (required)
+//   JEWEL_DECIMALS           default 18
+//   PAYOUT_FROM_BLOCK        first block to scan (default START_BLOCK or 22000000)
+//   PAYOUT_GRACE_DAYS        days after a week ends before "missed" (default 7)
+//   PAYOUT_TOLERANCE_JEWEL   accepted difference per wallet-week (default 0)
+//   RPC_URL / RPC_URLS etc.  see rpc-logs.js
+// Without a payer wallet or token the script logs why and writes nothing.
+//
+// Writes public/payout-reconciliation.json.
+//
+// Usage:
+//   PAYOUT_PAYER_WALLET=0x... JEWEL_TOKEN=0x... node scripts/reconcile-payouts.js
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { ethers } from "ethers";
+import { createLogClient, rpcUrlsFromEnv } from "./rpc-logs.js";
+import { readJson, writeJson } from "./utils.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = process.cwd();
+const PAYOUTS_PATH = path.join(ROOT, "public", "payouts.json");
+const OUT_PATH = path.join(ROOT, "public", "payout-reconciliation.json");
+
+const TRANSFER_TOPIC0 = ethers.id("Transfer(address,address,uint256)");
+const DAY_SEC = 24 * 3600;
+
+const CFG = {
+  PAYER: String(process.env.PAYOUT_PAYER_WALLET || "").trim().toLowerCase(),
+  TOKEN: String(process.env.JEWEL_TOKEN || "").trim().toLowerCase(),
+  DECIMALS: Number(process.env.JEWEL_DECIMALS || 18),
+  FROM_BLOCK: Number(process.env.PAYOUT_FROM_BLOCK || process.env.START_BLOCK || 22000000),
+  GRACE_DAYS: Number(process.env.PAYOUT_GRACE_DAYS || 7),
+  TOLERANCE_JEWEL: String(process.env.PAYOUT_TOLERANCE_JEWEL || "0"),
+  RPC_URLS: rpcUrlsFromEnv("https://andromeda.metis.io/?owner=1088"),
+};
+
+/**
+ * Match transfers to the closed weeks of payouts.json.
+ * transfers: [{ to, amountWei (bigint), timestamp, txHash, blockNumber }]
+ * Amounts in the result are wei (bigint); main() formats them.
+ */
+export function reconcile(weeks, transfers, { decimals = 18, toleranceWei = 0n, graceDays = 7, nowSec = Math.floor(Date.now() / 1000) } = {}) {
+  const closed = weeks
+    .filter((w) => w.status === "closed")
+    .map((w) => ({ ...w, startSec: Date.parse(w.weekStartUtc) / 1000, endSec: Date.parse(w.weekEndUtc) / 1000 }))
+    .sort((a, b) => a.startSec - b.startSec);
+
+  // wallet -> [{ week, owedWei, receivedWei, transfers }] in week order
+  const dues = new Map();
+  for (const w of closed) {
+    for (const p of w.payouts) {
+      if (!(p.totalJewel > 0)) continue;
+      if (!dues.has(p.wallet)) dues.set(p.wallet, []);
+      dues.get(p.wallet).push({ week: w, owedWei: ethers.parseUnits(String(p.totalJewel), decimals), receivedWei: 0n, transfers: [] });
+    }
+  }
+
+  const byWallet = new Map();
+  for (const t of [...transfers].sort((a, b) => a.timestamp - b.timestamp || a.blockNumber - b.blockNumber)) {
+    if (!byWallet.has(t.to)) byWallet.set(t.to, []);
+    byWallet.get(t.to).push(t);
+  }
+
+  const unmatched = [];
+  for (const [wallet, list] of byWallet) {
+    const owed = dues.get(wallet) || [];
+    const left = new Set(list);
+
+    for (const d of owed) {
+      const exact = list.find((t) => left.has(t) && t.timestamp >= d.week.endSec && t.amountWei === d.owedWei);
+      if (!exact) continue;
+      left.delete(exact);
+      d.receivedWei += exact.amountWei;
+      d.transfers.push(exact);
+    }
+
+    for (const t of list) {
+      if (!left.has(t)) continue;
+      const due = owed.filter((d) => d.week.endSec <= t.timestamp);
+      const target = due.filter((d) => d.receivedWei + toleranceWei < d.owedWei).pop() || due[due.length - 1];
+      if (!target) {
+        unmatched.push(t);
+        continue;
+      }
+      target.receivedWei += t.amountWei;
+      target.transfers.push(t);
+    }
+  }
+
+  const statusOf = (d) => {
+    const diff = d.receivedWei - d.owedWei;
+    if (d.receivedWei === 0n) return nowSec - d.week.endSec < graceDays * DAY_SEC ? "pending" : "missed";
+    if (diff > toleranceWei) return "overpaid";
+    if (-diff > toleranceWei) return "underpaid";
+    return "paid";
+  };
+
+  const rows = new Map(closed.map((w) => [w.weekStartUtc, []]));
+  for (const [wallet, list] of dues) {
+    for (const d of list) rows.get(d.week.weekStartUtc).push({ wallet, ...d, status: statusOf(d) });
+  }
+
+  return {
+    weeks: closed
+      .slice()
+      .reverse()
+      .map((w) => ({ weekStartUtc: w.weekStartUtc, weekEndUtc: w.weekEndUtc, rows: rows.get(w.weekStartUtc) })),
+    unmatched,
+  };
+}
+
+async function fetchPayerTransfers(client, toBlock) {
+  const payerTopic = ethers.zeroPadValue(CFG.PAYER, 32);
+  const logs = await client.getLogs({
+    address: CFG.TOKEN,
+    topics: [TRANSFER_TOPIC0, payerTopic],
+    fromBlock: CFG.FROM_BLOCK,
+    toBlock,
+  });
+
+  const tsByBlock = new Map();
+  const out = [];
+  for (const log of logs) {
+    if (!tsByBlock.has(log.blockNumber)) {
+      const b = await client.getBlock(log.blockNumber);
+      tsByBlock.set(log.blockNumber, Number(b.timestamp));
+    }
+    out.push({
+      to: ethers.getAddress("0x" + log.topics[2].slice(26)).toLowerCase(),
+      amountWei: BigInt(log.data),
+      timestamp: tsByBlock.get(log.blockNumber),
+      txHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+    });
+  }
+  return out;
+}
+
+async function main() {
+  if (!ethers.isAddress(CFG.PAYER) || !ethers.isAddress(CFG.TOKEN)) {
+    console.log("Skip payout reconciliation: set PAYOUT_PAYER_WALLET and JEWEL_TOKEN to enable it.");
+    return;
+  }
+
+  const payouts = readJson(PAYOUTS_PATH);
+  if (!Array.isArray(payouts?.weeks)) throw new Error(`Missing weeks[] in ${PAYOUTS_PATH} (run scripts/build-payouts.js)`);
+
+  const client = createLogClient({ label: "payouts", rpcUrls: CFG.RPC_URLS });
+  const toBlock = await client.getBlockNumber();
+  const transfers = await fetchPayerTransfers(client, toBlock);
+  console.log(`[payouts] ${transfers.length} JEWEL transfers from ${CFG.PAYER} in blocks ${CFG.FROM_BLOCK}..${toBlock}`);
+
+  const toleranceWei = ethers.parseUnits(CFG.TOLERANCE_JEWEL, CFG.DECIMALS);
+  const result = reconcile(payouts.weeks, transfers, { decimals: CFG.DECIMALS, toleranceWei, graceDays: CFG.GRACE_DAYS });
+
+  const jewel = (wei) => Number(ethers.formatUnits(wei, CFG.DECIMALS));
+  const transferOut = (t) => ({ txHash: t.txHash, blockNumber: t.blockNumber, timestamp: t.timestamp, amountJewel: jewel(t.amountWei) });
+  const statusCounts = (rows) => {
+    const c = { paid: 0, underpaid: 0, overpaid: 0, pending: 0, missed: 0 };
+    for (const r of rows) c[r.status]++;
+    return c;
+  };
+
+  const weeks = result.weeks.map((w) => ({
+    weekStartUtc: w.weekStartUtc,
+    weekEndUtc: w.weekEndUtc,
+    owedJewel: jewel(w.rows.reduce((s, r) => s + r.owedWei, 0n)),
+    receivedJewel: jewel(w.rows.reduce((s, r) => s + r.receivedWei, 0n)),
+    counts: statusCounts(w.rows),
+    wallets: w.rows
+      .map((r) => ({
+        wallet: r.wallet,
+        status: r.status,
+        owedJewel: jewel(r.owedWei),
+        receivedJewel: jewel(r.receivedWei),
+        differenceJewel: jewel(r.receivedWei - r.owedWei),
+        transfers: r.transfers.map(transferOut),
+      }))
+      .sort((a, b) => a.wallet.localeCompare(b.wallet)),
+  }));
+
+  const allRows = result.weeks.flatMap((w) => w.rows);
+  writeJson(OUT_PATH, {
+    updatedAtUtc: new Date().toISOString(),
+    payer: CFG.PAYER,
+    token: CFG.TOKEN,
+    fromBlock: CFG.FROM_BLOCK,
+    toBlock,
+    graceDays: CFG.GRACE_DAYS,
+    toleranceJewel: Number(CFG.TOLERANCE_JEWEL),
+    payoutsUpdatedAtUtc: payouts.updatedAtUtc ?? null,
+    summary: {
+      weeks: weeks.length,
+      owedJewel: jewel(allRows.reduce((s, r) => s + r.owedWei, 0n)),
+      receivedJewel: jewel(allRows.reduce((s, r) => s + r.receivedWei, 0n)),
+      unmatchedJewel: jewel(result.unmatched.reduce((s, t) => s + t.amountWei, 0n)),
+      counts: statusCounts(allRows),
+    },
+    weeks,
+    unmatchedTransfers: result.unmatched.map((t) => ({ to: t.to, ...transferOut(t) })),
+  });
+
+  const c = statusCounts(allRows);
+  console.log(`Wrote ${OUT_PATH}: ${c.paid} paid, ${c.underpaid} underpaid, ${c.overpaid} overpaid, ${c.missed} missed, ${c.pending} pending, ${result.unmatched.length} unmatched transfers`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch((e) => {
+    console.error(`[payouts] fatal:`, e);
+    process.exitCode = 1;
+  });
+}
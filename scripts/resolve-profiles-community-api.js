@@ -4,6 +4,7 @@
 
 import fs from "fs";
 import path from "path";
+import { appliedOverride, loadOverrides } from "./overrides.js";
 
 const ROOT = process.cwd();
 
@@ -179,6 +180,17 @@ async function resolveBatch(ids) {
   throw lastErr || new Error("Unable to resolve profiles: no query shape matched.");
 }
 
+// Resolved names stay untouched; overrides.json aliases ride alongside for the site.
+function profilesPayload(namesByAddress) {
+  const aliasesByAddress = {};
+  const overridesApplied = [];
+  for (const [wallet, alias] of loadOverrides().aliases) {
+    aliasesByAddress[wallet] = { name: alias.name, discord: alias.discord };
+    overridesApplied.push(appliedOverride("alias", wallet, aliasesByAddress[wallet], alias));
+  }
+  return { namesByAddress, aliasesByAddress, summary: { overridesApplied } };
+}
+
 async function main() {
   ensureDir(CACHE_DIR);
 
@@ -205,7 +217,7 @@ async function main() {
   }
 
   if (missing.length === 0) {
-    writeJson(PROFILES_PATH, { namesByAddress });
+    writeJson(PROFILES_PATH, profilesPayload(namesByAddress));
     console.log(`Wrote ${PROFILES_PATH}`);
     return;
   }
@@ -231,7 +243,7 @@ async function main() {
 
   cache.namesByAddress = namesByAddress;
   writeJson(CACHE_PATH, cache);
-  writeJson(PROFILES_PATH, { namesByAddress });
+  writeJson(PROFILES_PATH, profilesPayload(namesByAddress));
 
   console.log(`Resolved ${resolvedCount} new.`);
   console.log(`Wrote ${PROFILES_PATH}`);
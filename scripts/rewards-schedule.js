@@ -0,0 +1,89 @@
+// scripts/rewards-schedule.js
+//
+// Weekly JEWEL rewards from rewards.json (repo root), versioned by the week
+// they take effect so a change never reprices weeks that are already paid.
+//
+// rewards.json (version 1):
+//   schedule: [{ effectiveFrom, lvl10Brackets: [{ minWins, jewel }], lvl20PerWin, note? }]
+//
+// effectiveFrom must be a Monday 00:00 UTC (payout weeks start then). An entry
+// applies until the next one; the first entry also covers any earlier week.
+// index.html reads the same file and applies the same rules (rewardsAt/jewel10/jewel20).
+//
+// A malformed file throws: payouts should not be computed from half a schedule.
+
+import fs from "fs";
+import path from "path";
+
+export const REWARDS_PATH = path.join(process.cwd(), "rewards.json");
+export const REWARDS_VERSION = 1;
+
+const WEEK_MS = 7 * 24 * 3600 * 1000;
+const MONDAY_EPOCH_MS = Date.UTC(1970, 0, 5); // the first Monday after the epoch
+
+function isWeekStart(ms) {
+  return (ms - MONDAY_EPOCH_MS) % WEEK_MS === 0;
+}
+
+/** Load and validate rewards.json: entries sorted by effectiveFrom, brackets highest first. */
+export function loadRewardsSchedule(file = REWARDS_PATH) {
+  if (!fs.existsSync(file)) throw new Error(`Missing rewards schedule: ${file}`);
+  const doc = JSON.parse(fs.readFileSync(file, "utf8"));
+  const version = Number(doc.version ?? REWARDS_VERSION);
+  if (version !== REWARDS_VERSION) {
+    throw new Error(`rewards.json: unsupported version ${doc.version} (expected ${REWARDS_VERSION})`);
+  }
+  if (!Array.isArray(doc.schedule) || !doc.schedule.length) throw new Error(`rewards.json: "schedule" needs at least one entry`);
+
+  const schedule = doc.schedule.map((e, i) => {
+    const where = `rewards.json schedule[${i}]`;
+    const effectiveFromMs = Date.parse(e?.effectiveFrom);
+    if (!Number.isFinite(effectiveFromMs) || !isWeekStart(effectiveFromMs)) {
+      throw new Error(`${where}: effectiveFrom must be a Monday 00:00 UTC (got ${JSON.stringify(e?.effectiveFrom)})`);
+    }
+    const lvl10Brackets = (Array.isArray(e.lvl10Brackets) ? e.lvl10Brackets : []).map((b) => {
+      const minWins = Number(b?.minWins);
+      const jewel = Number(b?.jewel);
+      if (!Number.isInteger(minWins) || minWins < 1 || !(jewel >= 0)) throw new Error(`${where}: invalid lvl10 bracket ${JSON.stringify(b)}`);
+      return { minWins, jewel };
+    });
+    const lvl20PerWin = Number(e.lvl20PerWin ?? 0);
+    if (!(lvl20PerWin >= 0)) throw new Error(`${where}: lvl20PerWin must be a number >= 0`);
+    return {
+      effectiveFrom: new Date(effectiveFromMs).toISOString(),
+      effectiveFromMs,
+      lvl10Brackets: lvl10Brackets.sort((a, b) => b.minWins - a.minWins),
+      lvl20PerWin,
+      note: typeof e.note === "string" && e.note.trim() ? e.note.trim() : null,
+    };
+  });
+
+  schedule.sort((a, b) => a.effectiveFromMs - b.effectiveFromMs);
+  for (let i = 1; i < schedule.length; i++) {
+    if (schedule[i].effectiveFromMs === schedule[i - 1].effectiveFromMs) {
+      throw new Error(`rewards.json: two entries take effect on ${schedule[i].effectiveFrom}`);
+    }
+  }
+  return schedule;
+}
+
+/** The schedule entry in effect for the week containing ms. */
+export function rewardsAt(schedule, ms) {
+  let out = schedule[0];
+  for (const e of schedule) if (e.effectiveFromMs <= ms) out = e;
+  return out;
+}
+
+/** One wallet's payout for one week: { rewards, bracket, l10Jewel, l20Jewel, totalJewel }. */
+export function weeklyPayout(schedule, weekStartMs, l10Wins, l20Wins) {
+  const rewards = rewardsAt(schedule, weekStartMs);
+  const bracket = rewards.lvl10Brackets.find((b) => l10Wins >= b.minWins) || null;
+  const l10Jewel = bracket ? bracket.jewel : 0;
+  const l20Jewel = rewards.lvl20PerWin * l20Wins;
+  return { rewards, bracket, l10Jewel, l20Jewel, totalJewel: l10Jewel + l20Jewel };
+}
+
+/** The schedule as published in output files (no derived fields). */
+export function publicSchedule(schedule) {
+  return schedule.map(({ effectiveFrom, lvl10Brackets, lvl20PerWin, note }) => ({ effectiveFrom, lvl10Brackets, lvl20PerWin, note }));
+}
@@ -0,0 +1,329 @@
+// scripts/rpc-logs.js
+//
+// Shared eth_getLogs client for the log-scanning scripts
+// (extract-matches-from-topic0, pull-votes-from-logs, build-boutmeta and the
+// wins/tier pullers). Public Metis RPCs reject wide block ranges, throttle
+// bursts and drop out now and then; each script used to handle that (or not)
+// on its own.
+//
+// What the client does:
+//   - adaptive chunking: the window halves on "range too large" style errors
+//     and grows back after a run of successful calls
+//   - retries with exponential backoff + jitter, longer on rate limits (429)
+//   - fallback RPC URLs: RPC_URLS="https://a,https://b" rotates on failure
+//   - a concurrency cap shared by every call made through one client
+//   - an on-disk cache of confirmed block segments (scripts/.cache/logs), so
+//     reruns only hit the RPC for the unconfirmed tip
+//
+// Env knobs (all optional; per-script options win over env):
+//   RPC_URL / RPC             primary RPC
+//   RPC_URLS                  comma-separated fallbacks, tried in order
+//   RPC_CHAIN_ID              default 1088 (Metis Andromeda)
+//   LOG_CHUNK_BLOCKS          starting window size
+//   LOG_MIN_CHUNK_BLOCKS      smallest window before giving up (default 100)
+//   LOG_MAX_CHUNK_BLOCKS      largest window after growth (default 4 x start)
+//   RPC_CONCURRENCY           in-flight requests per client (default 2)
+//   RPC_MAX_RETRIES           retries per window (default 6)
+//   THROTTLE_MS               pause after every successful getLogs call
+//   LOG_CACHE=0               disable the disk cache
+//   LOG_CACHE_DIR             default scripts/.cache/logs
+//   LOG_CACHE_CONFIRMATIONS   blocks behind head before a segment is cached (default 1000)
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { ethers } from "ethers";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_CHAIN_ID = 1088;
+const DEFAULT_CACHE_DIR = path.join(__dirname, ".cache", "logs");
+
+// Errors that mean "ask for fewer blocks", as worded by the RPCs we have hit.
+// Timeouts are not among them: they go through call()'s retry and failover.
+const RANGE_ERROR_RE =
+  /block range|range (is )?too (large|wide)|too many (logs|results|blocks)|more than \d+ (results|logs)|exceed(s|ed)? .*(limit|range|max)|limit exceeded|response (size|too large)/i;
+
+const RATE_LIMIT_RE = /\b429\b|rate.?limit|too many requests|throttl/i;
+
+function envNum(name, fallback) {
+  const v = process.env[name];
+  if (v == null || v === "") return fallback;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function errorText(e) {
+  // ethers wraps the node's message a couple of levels deep
+  return [e?.shortMessage, e?.message, e?.error?.message, e?.info?.error?.message, e?.info?.responseStatus]
+    .filter(Boolean)
+    .join(" | ");
+}
+
+export function isRateLimitError(e) {
+  return RATE_LIMIT_RE.test(errorText(e));
+}
+
+export function isRangeError(e) {
+  return !isRateLimitError(e) && RANGE_ERROR_RE.test(errorText(e));
+}
+
+/**
+ * RPC URLs from the environment, primary first, duplicates removed.
+ * `fallback` is used only when nothing is configured.
+ */
+export function rpcUrlsFromEnv(fallback = null) {
+  const urls = [
+    process.env.RPC_URL,
+    process.env.RPC,
+    ...String(process.env.RPC_URLS || "").split(","),
+  ]
+    .map((u) => (u || "").trim())
+    .filter(Boolean);
+
+  if (!urls.length && fallback) urls.push(fallback);
+  return [...new Set(urls)];
+}
+
+function plainLog(log) {
+  return {
+    address: String(log.address).toLowerCase(),
+    blockNumber: Number(log.blockNumber),
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    transactionIndex: Number(log.transactionIndex),
+    index: Number(log.index ?? log.logIndex),
+    topics: [...(log.topics || [])],
+    data: log.data,
+  };
+}
+
+function compareLogs(a, b) {
+  return a.blockNumber - b.blockNumber || a.index - b.index;
+}
+
+function filterKey(filter) {
+  return JSON.stringify({
+    address: filter.address ? String(filter.address).toLowerCase() : null,
+    topics: (filter.topics || []).map((t) =>
+      Array.isArray(t) ? t.map((x) => String(x).toLowerCase()) : t == null ? null : String(t).toLowerCase()
+    ),
+  });
+}
+
+function createLimiter(max) {
+  let active = 0;
+  const waiting = [];
+
+  return async function limit(fn) {
+    if (active >= max) await new Promise((r) => waiting.push(r));
+    active++;
+    try {
+      return await fn();
+    } finally {
+      active--;
+      const next = waiting.shift();
+      if (next) next();
+    }
+  };
+}
+
+/**
+ * Create a log client. Options override the env knobs listed at the top.
+ *
+ * Returns { getLogs, getBlock, getBlockNumber, provider, urls, stats }.
+ * getLogs({ address, topics, fromBlock, toBlock }) returns plain, sorted log
+ * objects (blockNumber/index are numbers) for the whole range, however many
+ * RPC calls that takes.
+ */
+export function createLogClient(opts = {}) {
+  const urls = opts.rpcUrls?.length ? [...opts.rpcUrls] : rpcUrlsFromEnv(opts.fallbackUrl);
+  if (!urls.length) throw new Error("Missing RPC_URL env var");
+
+  const label = opts.label || "rpc-logs";
+  const chainId = opts.chainId ?? envNum("RPC_CHAIN_ID", DEFAULT_CHAIN_ID);
+
+  const startChunk = Math.max(1, Math.floor(opts.chunkSize ?? envNum("LOG_CHUNK_BLOCKS", 5000)));
+  const minChunk = Math.max(1, Math.floor(opts.minChunkSize ?? envNum("LOG_MIN_CHUNK_BLOCKS", Math.min(100, startChunk))));
+  const maxChunk = Math.max(startChunk, Math.floor(opts.maxChunkSize ?? envNum("LOG_MAX_CHUNK_BLOCKS", startChunk * 4)));
+  const maxRetries = Math.max(0, opts.maxRetries ?? envNum("RPC_MAX_RETRIES", 6));
+  const throttleMs = Math.max(0, opts.throttleMs ?? envNum("THROTTLE_MS", 0));
+  const concurrency = Math.max(1, opts.concurrency ?? envNum("RPC_CONCURRENCY", 2));
+
+  const cacheEnabled = opts.cache ?? process.env.LOG_CACHE !== "0";
+  const cacheDir = opts.cacheDir || process.env.LOG_CACHE_DIR || DEFAULT_CACHE_DIR;
+  const cacheConfirmations = opts.cacheConfirmations ?? envNum("LOG_CACHE_CONFIRMATIONS", 1000);
+
+  // Static network: a dead URL should fail fast and rotate, not sit in
+  // ethers' network-detection retry loop.
+  const providers = urls.map((u) => new ethers.JsonRpcProvider(u, chainId, { staticNetwork: true }));
+  const limit = createLimiter(concurrency);
+
+  let current = 0;
+  let chunk = startChunk;
+  let streak = 0;
+  let head = null;
+  const stats = { calls: 0, retries: 0, rangeSplits: 0, rateLimited: 0, cacheHits: 0, failovers: 0 };
+
+  function rotate(reason) {
+    if (providers.length < 2) return;
+    current = (current + 1) % providers.length;
+    stats.failovers++;
+    console.warn(`[${label}] switching RPC -> ${urls[current]} (${reason})`);
+  }
+
+  // One RPC call with retries/backoff/failover. Range errors are rethrown
+  // untouched so the caller can split the window instead.
+  async function call(what, fn) {
+    for (let attempt = 0; ; attempt++) {
+      const idx = current;
+      try {
+        stats.calls++;
+        return await limit(() => fn(providers[idx]));
+      } catch (e) {
+        if (isRangeError(e)) throw e;
+        if (attempt >= maxRetries) {
+          throw new Error(`[${label}] ${what} failed after ${attempt + 1} attempts: ${errorText(e) || e}`);
+        }
+
+        const rateLimited = isRateLimitError(e);
+        if (rateLimited) stats.rateLimited++;
+        stats.retries++;
+
+        const base = rateLimited ? 2000 : 500;
+        const delay = Math.min(30000, base * 2 ** attempt) * (0.75 + Math.random() * 0.5);
+        console.warn(
+          `[${label}] ${what} ${rateLimited ? "rate limited" : "failed"} on ${urls[idx]}; retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)}ms`
+        );
+        if (idx === current) rotate(rateLimited ? "rate limit" : "error");
+        await sleep(delay);
+      }
+    }
+  }
+
+  async function getBlockNumber() {
+    head = await call("eth_blockNumber", (p) => p.getBlockNumber());
+    return head;
+  }
+
+  function getBlock(blockTag) {
+    return call(`eth_getBlockByNumber(${blockTag})`, (p) => p.getBlock(blockTag));
+  }
+
+  // Fetch [from, to] with the shared adaptive window.
+  async function fetchRange(filter, from, to) {
+    const out = [];
+    let start = from;
+
+    while (start <= to) {
+      const end = Math.min(to, start + chunk - 1);
+      try {
+        const logs = await call(`eth_getLogs ${start}..${end}`, (p) =>
+          p.getLogs({ address: filter.address, topics: filter.topics, fromBlock: start, toBlock: end })
+        );
+        out.push(...logs.map(plainLog));
+        start = end + 1;
+        // Grow slowly: a window that was just rejected should not be retried right away.
+        if (++streak >= 5 && chunk < maxChunk) {
+          chunk = Math.min(maxChunk, Math.ceil(chunk * 1.25));
+          streak = 0;
+        }
+        if (throttleMs > 0) await sleep(throttleMs);
+      } catch (e) {
+        if (!isRangeError(e)) throw e;
+        const width = end - start + 1;
+        if (width <= minChunk) {
+          throw new Error(`[${label}] eth_getLogs ${start}..${end} rejected at the minimum window (${minChunk}): ${errorText(e)}`);
+        }
+        stats.rangeSplits++;
+        streak = 0;
+        chunk = Math.max(minChunk, Math.floor(width / 2));
+        console.warn(`[${label}] range rejected for ${start}..${end}; window -> ${chunk} blocks`);
+      }
+    }
+
+    return out;
+  }
+
+  function cachePath(key, from, to) {
+    const digest = crypto.createHash("sha1").update(`${chainId}|${key}|${from}|${to}`).digest("hex");
+    return path.join(cacheDir, `${digest}.json`);
+  }
+
+  function readCache(file) {
+    try {
+      const json = JSON.parse(fs.readFileSync(file, "utf8"));
+      return Array.isArray(json?.logs) ? json.logs : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function writeCache(file, meta, logs) {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ ...meta, logs }));
+    } catch (e) {
+      console.warn(`[${label}] could not write log cache ${file}: ${e?.message || e}`);
+    }
+  }
+
+  // Segments are aligned to startChunk so cache keys stay stable between runs
+  // even when the adaptive window (or the caller's range) changes.
+  async function fetchSegment(filter, key, from, to, cacheable) {
+    const file = cacheable ? cachePath(key, from, to) : null;
+    if (file) {
+      const hit = readCache(file);
+      if (hit) {
+        stats.cacheHits++;
+        return hit;
+      }
+    }
+
+    const logs = await fetchRange(filter, from, to);
+    if (file) writeCache(file, { key, chainId, fromBlock: from, toBlock: to }, logs);
+    return logs;
+  }
+
+  async function getLogs(filter = {}, { onProgress } = {}) {
+    const from = Number(filter.fromBlock);
+    const to = Number(filter.toBlock);
+    if (!Number.isFinite(from) || !Number.isFinite(to)) {
+      throw new Error(`[${label}] getLogs needs numeric fromBlock/toBlock`);
+    }
+    if (to < from) return [];
+
+    const key = filterKey(filter);
+    const useCache = cacheEnabled && cacheConfirmations >= 0;
+    if (useCache && head == null) await getBlockNumber();
+    const safeTo = useCache ? head - cacheConfirmations : -1;
+
+    const out = [];
+    let start = from;
+    while (start <= to) {
+      const segEnd = Math.min(to, (Math.floor(start / startChunk) + 1) * startChunk - 1);
+      const whole = start % startChunk === 0 && segEnd === (Math.floor(start / startChunk) + 1) * startChunk - 1;
+      const cacheable = useCache && whole && segEnd <= safeTo;
+
+      out.push(...(await fetchSegment(filter, key, start, segEnd, cacheable)));
+      if (onProgress) onProgress({ fromBlock: start, toBlock: segEnd, logs: out.length });
+      start = segEnd + 1;
+    }
+
+    return out.sort(compareLogs);
+  }
+
+  return {
+    getLogs,
+    getBlock,
+    getBlockNumber,
+    provider: providers[0],
+    urls,
+    stats,
+  };
+}
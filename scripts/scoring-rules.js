@@ -0,0 +1,176 @@
+// scripts/scoring-rules.js
+//
+// Points scoring as data. A ruleset is a plain object (normally from the
+// `rulesets` block of leagues.json); build-points-leaderboard.js produces one
+// leaderboard per named ruleset.
+//
+// Ruleset fields (all optional, missing ones fall back to DEFAULT_RULESET):
+//   label                  shown in output summaries
+//   points                 { first, second, third, fourth, round1Exit }; fourth only
+//                          applies when third place was resolved, otherwise both
+//                          semifinal losers get third
+//   placementMinBracketSize  per placement, e.g. { round1Exit: 5 }: the award
+//                          is skipped in smaller brackets
+//   round1ExitRule         who gets points.round1Exit:
+//                            "lowestSlot" (default) the loser(s) of the lowest resultCode
+//                                         played (matches.json), as the league has always scored
+//                            "bottomBand" every entrant in the bottom finishing band of the
+//                                         ladder (tournament-results.json); more awards,
+//                                         none in 4-player fields (their bottom band is 3-4)
+//   minBracketSize         tournaments smaller than this are not counted at all
+//   participation          flat points for every entrant of a counted tournament
+//   bracketMultipliers     [{ minSize, multiplier }]; the largest minSize <= bracket size wins
+//   tierWeights            { "10": w, "20": w, "unknown": w } from tournamentRanges.json;
+//                          a weight of 0 leaves that tier out of the ruleset
+//
+// A tournament's award is placement points (or participation) x bracket multiplier x tier weight.
+
+import fs from "fs";
+import path from "path";
+
+export const DEFAULT_RULESET_NAME = "default";
+export const ROUND1_EXIT_RULES = ["lowestSlot", "bottomBand"];
+
+export const DEFAULT_RULESET = {
+  label: "League Points",
+  points: { first: 3, second: 2, third: 1, fourth: 0.5, round1Exit: 0.5 },
+  placementMinBracketSize: { round1Exit: 5 },
+  round1ExitRule: "lowestSlot",
+  minBracketSize: 0,
+  participation: 0,
+  bracketMultipliers: [],
+  tierWeights: { 10: 1, 20: 1, unknown: 1 },
+};
+
+function isPlainObject(x) {
+  return x != null && typeof x === "object" && !Array.isArray(x);
+}
+
+function mergeDeep(base, over) {
+  if (!isPlainObject(over)) return base;
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over)) {
+    out[k] = isPlainObject(v) && isPlainObject(base?.[k]) ? mergeDeep(base[k], v) : v;
+  }
+  return out;
+}
+
+function num(value, what) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) throw new Error(`scoring: ${what} must be a number, got ${JSON.stringify(value)}`);
+  return n;
+}
+
+export function normalizeRuleset(name, raw = {}) {
+  // The name ends up in file names (points-leaderboard.<name>.json).
+  if (!/^[a-z0-9_-]+$/i.test(name)) throw new Error(`scoring: invalid ruleset name ${JSON.stringify(name)}`);
+  const r = mergeDeep(DEFAULT_RULESET, raw);
+
+  const points = {};
+  for (const key of ["first", "second", "third", "fourth", "round1Exit"]) {
+    points[key] = num(r.points?.[key] ?? 0, `${name}.points.${key}`);
+  }
+
+  const placementMinBracketSize = {};
+  for (const [k, v] of Object.entries(r.placementMinBracketSize || {})) {
+    placementMinBracketSize[k] = num(v, `${name}.placementMinBracketSize.${k}`);
+  }
+
+  if (!ROUND1_EXIT_RULES.includes(r.round1ExitRule)) {
+    throw new Error(`scoring: ${name}.round1ExitRule must be one of ${ROUND1_EXIT_RULES.join(", ")}, got ${JSON.stringify(r.round1ExitRule)}`);
+  }
+
+  const bracketMultipliers = (Array.isArray(r.bracketMultipliers) ? r.bracketMultipliers : [])
+    .map((m, i) => ({
+      minSize: num(m?.minSize, `${name}.bracketMultipliers[${i}].minSize`),
+      multiplier: num(m?.multiplier, `${name}.bracketMultipliers[${i}].multiplier`),
+    }))
+    .sort((a, b) => a.minSize - b.minSize);
+
+  const tierWeights = {};
+  for (const [k, v] of Object.entries(r.tierWeights || {})) {
+    tierWeights[k] = num(v, `${name}.tierWeights.${k}`);
+  }
+
+  return {
+    name,
+    label: String(r.label || name),
+    points,
+    placementMinBracketSize,
+    round1ExitRule: r.round1ExitRule,
+    minBracketSize: num(r.minBracketSize ?? 0, `${name}.minBracketSize`),
+    participation: num(r.participation ?? 0, `${name}.participation`),
+    bracketMultipliers,
+    tierWeights,
+  };
+}
+
+/**
+ * Named rulesets for a season: leagues.json `rulesets`, with the season's own
+ * `rulesets` overrides merged on top. Always contains "default".
+ */
+export function resolveRulesets(configRulesets = {}, seasonOverrides = {}) {
+  const names = new Set([DEFAULT_RULESET_NAME, ...Object.keys(configRulesets || {}), ...Object.keys(seasonOverrides || {})]);
+  return [...names].map((name) =>
+    normalizeRuleset(name, mergeDeep(configRulesets?.[name] || {}, seasonOverrides?.[name] || {}))
+  );
+}
+
+export function bracketMultiplier(rules, bracketSize) {
+  let m = 1;
+  for (const step of rules.bracketMultipliers) {
+    if (bracketSize >= step.minSize) m = step.multiplier;
+  }
+  return m;
+}
+
+export function tierWeight(rules, tier) {
+  const key = tier === 10 || tier === 20 ? String(tier) : "unknown";
+  const w = rules.tierWeights[key];
+  return Number.isFinite(w) ? w : 1;
+}
+
+/** Whether `placement` is awarded in a bracket of this size. */
+export function placementAllowed(rules, placement, bracketSize) {
+  const min = rules.placementMinBracketSize[placement];
+  return !Number.isFinite(min) || bracketSize >= min;
+}
+
+export function describeRuleset(rules) {
+  const p = rules.points;
+  const r1Min = rules.placementMinBracketSize.round1Exit;
+  const parts = [
+    `1st=${p.first}`,
+    `2nd=${p.second}`,
+    `3rd=${p.third} (each, if tied)`,
+    `4th place=${p.fourth}`,
+    `round-1 exit=${p.round1Exit}${Number.isFinite(r1Min) ? ` for tournaments with ${r1Min}+ players` : ""}${rules.round1ExitRule === "bottomBand" ? " (whole bottom band)" : ""}`,
+  ];
+  if (rules.participation) parts.push(`participation=${rules.participation}`);
+  if (rules.minBracketSize) parts.push(`min bracket ${rules.minBracketSize}`);
+  if (rules.bracketMultipliers.length) {
+    parts.push(`bracket multipliers ${rules.bracketMultipliers.map((m) => `${m.minSize}+:x${m.multiplier}`).join(" ")}`);
+  }
+  const weights = Object.entries(rules.tierWeights).filter(([, w]) => w !== 1);
+  if (weights.length) parts.push(`tier weights ${weights.map(([t, w]) => `${t === "unknown" ? "?" : "L" + t}:x${w}`).join(" ")}`);
+  return parts.join(", ");
+}
+
+/** tournamentId -> 10 | 20 from public/tournamentRanges.json (empty map if missing). */
+export function loadTierByTournament(file = path.join(process.cwd(), "public", "tournamentRanges.json")) {
+  const out = new Map();
+  let doc = null;
+  try {
+    doc = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return out;
+  }
+
+  const ranges = doc?.rangesByTournamentId ?? doc?.ranges ?? {};
+  for (const [tid, r] of Object.entries(ranges)) {
+    const tier = Number(r?.tier);
+    if (tier === 10 || tier === 20) out.set(Number(tid), tier);
+    else if (Number.isFinite(Number(r?.maxLevel))) out.set(Number(tid), Number(r.maxLevel) >= 20 ? 20 : 10);
+  }
+  return out;
+}
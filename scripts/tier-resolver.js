@@ -0,0 +1,298 @@
+// scripts/tier-resolver.js
+//
+// One place that decides a tournament's tier (10 or 20).
+//
+// Every tier script records what it found as a *source* in public/tier-sources.json
+// (recordTierSource) instead of writing tournamentRanges.json itself. The resolver
+// then walks the sources in priority order and writes public/tournamentRanges.json,
+// where each entry says which source won, how confident that is, which sources
+// agreed and which disagreed:
+//
+//   rangesByTournamentId["2044"] = {
+//     minLevel: 16, maxLevel: 20, tier: 20,
+//     source: "chain-config", confidence: "medium",
+//     agreedBy: ["dfk-details"],
+//     conflicts: [{ source: "win-logs", tier: 10 }]
+//   }
+//
+// Sources (default priority, highest first):
+//   manual         overrides.json "tiers" (scripts/apply-tier-overrides.js)
+//   chain-config   tournament config events (build-tournamentRanges-subgraph.js)
+//   dfk-details    DFK tournament details GraphQL (fix-tournament-tiers-dfk-details.js)
+//   graphql        DFK GraphQL, introspected (fix-tournament-tiers-graphql.js)
+//   community-api  DFK community API (fix-tournament-tiers-community-api.js)
+//   subgraph       tournament-leaderboards subgraph (fix-tournament-tiers-subgraph.js)
+//   metis          on-chain details getter (fix-tournament-tiers-metis.js)
+//   logs-flexpair  level pair guessed from raw logs (fix-tournament-tiers-from-logs-flexpair.js)
+//   win-logs       tier cache of the wins puller (scripts/.cache/tournament-tier-cache.json)
+//
+// Whenever a source has min/max levels, the tier is derived here with one rule
+// (tierFromLevels), not with whatever rule the fetching script used.
+//
+// Usage:
+//   node scripts/tier-resolver.js
+//
+// Env:
+//   TIER_SOURCE_PRIORITY   comma-separated source ids, highest first (unlisted sources are ignored)
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { readJson, writeJson } from "./utils.js";
+import { appliedOverride, loadOverrides } from "./overrides.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = process.cwd();
+const PUBLIC_DIR = path.join(ROOT, "public");
+
+const SOURCES_PATH = path.join(PUBLIC_DIR, "tier-sources.json");
+const RANGES_PATH = path.join(PUBLIC_DIR, "tournamentRanges.json");
+const LEADERBOARD_PATH = path.join(PUBLIC_DIR, "leaderboard.json");
+const WIN_LOGS_CACHE_PATH = path.join(ROOT, "scripts", ".cache", "tournament-tier-cache.json");
+
+// confidence is the source's default; an entry may lower it (e.g. a fallback decode).
+export const TIER_SOURCES = {
+  manual: { label: "Manual override (overrides.json)", confidence: "manual" },
+  "chain-config": { label: "Tournament config event logs", confidence: "high" },
+  "dfk-details": { label: "DFK tournament details API", confidence: "high" },
+  graphql: { label: "DFK GraphQL API", confidence: "high" },
+  "community-api": { label: "DFK community API", confidence: "high" },
+  subgraph: { label: "Tournament leaderboards subgraph", confidence: "high" },
+  metis: { label: "On-chain tournament details getter", confidence: "medium" },
+  "logs-flexpair": { label: "Level pair guessed from raw logs", confidence: "medium" },
+  "win-logs": { label: "Wins puller tier cache", confidence: "low" },
+};
+
+const DEFAULT_PRIORITY = Object.keys(TIER_SOURCES);
+
+const CONFIDENCE_ORDER = ["low", "medium", "high", "manual"];
+
+function lowerConfidence(c) {
+  const i = CONFIDENCE_ORDER.indexOf(c);
+  return i > 0 && c !== "manual" ? CONFIDENCE_ORDER[i - 1] : c;
+}
+
+function minConfidence(a, b) {
+  if (!b) return a;
+  return CONFIDENCE_ORDER.indexOf(b) < CONFIDENCE_ORDER.indexOf(a) ? b : a;
+}
+
+function toLevel(v) {
+  const n = Number(v);
+  return v != null && v !== "" && Number.isFinite(n) ? n : null;
+}
+
+/**
+ * The tier rule: level-10 brackets are tier 10; 16-20, 20-20, 20-25 ... are tier 20.
+ * Anything in between is not a known bracket and stays unresolved.
+ */
+export function tierFromLevels(minLevel, maxLevel) {
+  const max = toLevel(maxLevel);
+  if (max == null) return null;
+  if (max <= 10) return 10;
+  if (max >= 16) return 20;
+  return null;
+}
+
+function candidateTier(entry) {
+  if (!entry || typeof entry !== "object") return null;
+  const fromLevels = tierFromLevels(entry.minLevel, entry.maxLevel);
+  if (fromLevels != null) return fromLevels;
+  return entry.tier === 10 || entry.tier === 20 ? entry.tier : null;
+}
+
+export function sourcePriority() {
+  const env = String(process.env.TIER_SOURCE_PRIORITY || "").trim();
+  if (!env) return DEFAULT_PRIORITY;
+  const ids = env.split(",").map((s) => s.trim()).filter(Boolean);
+  const unknown = ids.filter((id) => !TIER_SOURCES[id]);
+  if (unknown.length) throw new Error(`TIER_SOURCE_PRIORITY has unknown source(s): ${unknown.join(", ")}`);
+  return ids;
+}
+
+function loadSourcesDoc() {
+  const doc = readJson(SOURCES_PATH, null);
+  return doc && typeof doc.sources === "object" ? doc : { updatedAtUtc: null, sources: {} };
+}
+
+/** Entries previously recorded for one source (tournamentId -> entry), for scripts that fetch incrementally. */
+export function readTierSource(sourceId) {
+  return { ...(loadSourcesDoc().sources[sourceId]?.byTournamentId || {}) };
+}
+
+/**
+ * Merge one source's findings into public/tier-sources.json.
+ * entries: { [tournamentId]: { minLevel?, maxLevel?, tier?, confidence?, ... } }
+ * meta: anything worth keeping about the run (endpoint, scan range, ...).
+ */
+export function recordTierSource(sourceId, entries, meta = {}) {
+  if (!TIER_SOURCES[sourceId]) throw new Error(`Unknown tier source: ${sourceId}`);
+  if (sourceId === "manual" || sourceId === "win-logs") {
+    throw new Error(`${sourceId} is read from its own file, not recorded`);
+  }
+
+  const doc = loadSourcesDoc();
+  const prev = doc.sources[sourceId]?.byTournamentId || {};
+  const byTournamentId = { ...prev };
+  for (const [tid, entry] of Object.entries(entries || {})) {
+    if (!/^\d+$/.test(String(tid)) || !entry) continue;
+    byTournamentId[String(tid)] = entry;
+  }
+
+  const now = new Date().toISOString();
+  doc.updatedAtUtc = now;
+  doc.sources[sourceId] = { updatedAtUtc: now, meta, byTournamentId };
+  writeJson(SOURCES_PATH, doc);
+  console.log(`Recorded ${Object.keys(entries || {}).length} ${sourceId} tier entries in ${SOURCES_PATH}`);
+}
+
+function loadManualSource() {
+  const { tiers, updatedAtUtc } = loadOverrides();
+  return { updatedAtUtc, byTournamentId: Object.fromEntries(tiers) };
+}
+
+function loadWinLogsSource() {
+  const doc = readJson(WIN_LOGS_CACHE_PATH, null);
+  const out = {};
+  for (const [tid, v] of Object.entries(doc?.byTournamentId || {})) {
+    if (v?.tier === 10 || v?.tier === 20) out[tid] = { tier: v.tier, method: v.method ?? null };
+  }
+  return { updatedAtUtc: null, byTournamentId: out };
+}
+
+function loadAllSources() {
+  return {
+    ...loadSourcesDoc().sources,
+    manual: loadManualSource(),
+    "win-logs": loadWinLogsSource(),
+  };
+}
+
+/**
+ * Pure resolution: the highest-priority source with a usable tier wins.
+ * Confidence starts at the source's (or entry's, if lower) level and drops one
+ * step when any other source reports a different tier; manual stays manual.
+ */
+export function resolveTiers(sources, priority = DEFAULT_PRIORITY) {
+  const ids = new Set();
+  for (const sourceId of priority) {
+    for (const tid of Object.keys(sources[sourceId]?.byTournamentId || {})) ids.add(tid);
+  }
+
+  const rangesByTournamentId = {};
+  for (const tid of [...ids].sort((a, b) => Number(a) - Number(b))) {
+    const candidates = [];
+    for (const sourceId of priority) {
+      const entry = sources[sourceId]?.byTournamentId?.[tid];
+      const tier = candidateTier(entry);
+      if (tier == null) continue;
+      candidates.push({ sourceId, entry, tier });
+    }
+    if (!candidates.length) continue;
+
+    const [chosen, ...others] = candidates;
+    const conflicts = others.filter((c) => c.tier !== chosen.tier);
+
+    let confidence = minConfidence(TIER_SOURCES[chosen.sourceId].confidence, chosen.entry.confidence);
+    if (conflicts.length) confidence = lowerConfidence(confidence);
+
+    const resolved = {
+      minLevel: toLevel(chosen.entry.minLevel),
+      maxLevel: toLevel(chosen.entry.maxLevel),
+      tier: chosen.tier,
+      source: chosen.sourceId,
+      confidence,
+      agreedBy: others.filter((c) => c.tier === chosen.tier).map((c) => c.sourceId),
+    };
+    if (chosen.entry.method) resolved.method = chosen.entry.method;
+    if (chosen.entry.note) resolved.note = chosen.entry.note;
+    if (conflicts.length) resolved.conflicts = conflicts.map((c) => ({ source: c.sourceId, tier: c.tier }));
+
+    rangesByTournamentId[tid] = resolved;
+  }
+  return rangesByTournamentId;
+}
+
+function winTournamentIds() {
+  const wins = readJson(LEADERBOARD_PATH, null)?.wins;
+  if (!Array.isArray(wins)) return [];
+  return [...new Set(wins.map((w) => String(w?.tournamentId ?? "")).filter((t) => /^\d+$/.test(t)))];
+}
+
+// A tournamentRanges.json written before the resolver existed came from the
+// chain-config builder; keep it as that source rather than losing it.
+function migrateLegacyRanges() {
+  if (fs.existsSync(SOURCES_PATH)) return;
+  const legacy = readJson(RANGES_PATH, null);
+  if (!legacy || legacy.source === "tier-resolver" || typeof legacy.rangesByTournamentId !== "object") return;
+
+  const { rangesByTournamentId, missingTournamentIds, ...meta } = legacy;
+  console.log(`Migrating legacy ${RANGES_PATH} into the chain-config tier source`);
+  recordTierSource("chain-config", rangesByTournamentId, meta);
+}
+
+/** Resolve every source and write public/tournamentRanges.json. Returns rangesByTournamentId. */
+export function writeResolvedRanges() {
+  migrateLegacyRanges();
+  const priority = sourcePriority();
+  const sources = loadAllSources();
+  const rangesByTournamentId = resolveTiers(sources, priority);
+
+  const bySource = {};
+  const byConfidence = {};
+  const overridesApplied = [];
+  let conflicted = 0;
+  for (const [tid, r] of Object.entries(rangesByTournamentId)) {
+    bySource[r.source] = (bySource[r.source] || 0) + 1;
+    byConfidence[r.confidence] = (byConfidence[r.confidence] || 0) + 1;
+    if (r.conflicts) conflicted += 1;
+    if (r.source === "manual") overridesApplied.push(appliedOverride("tier", tid, { tier: r.tier }, r));
+  }
+
+  const missingTournamentIds = winTournamentIds()
+    .filter((tid) => !rangesByTournamentId[tid])
+    .sort((a, b) => Number(a) - Number(b));
+
+  const out = {
+    updatedAtUtc: new Date().toISOString(),
+    source: "tier-resolver",
+    priority,
+    sources: Object.fromEntries(
+      priority.map((id) => [
+        id,
+        {
+          label: TIER_SOURCES[id].label,
+          updatedAtUtc: sources[id]?.updatedAtUtc ?? null,
+          entries: Object.keys(sources[id]?.byTournamentId || {}).length,
+          ...(sources[id]?.meta ? { meta: sources[id].meta } : {}),
+        },
+      ])
+    ),
+    summary: {
+      resolved: Object.keys(rangesByTournamentId).length,
+      bySource,
+      byConfidence,
+      conflicted,
+      missing: missingTournamentIds.length,
+      overridesApplied,
+    },
+    rangesByTournamentId,
+    missingTournamentIds,
+  };
+
+  writeJson(RANGES_PATH, out);
+  console.log(`Wrote ${RANGES_PATH}`);
+  console.log(
+    `resolved=${out.summary.resolved} conflicted=${conflicted} missing=${missingTournamentIds.length} ` +
+      `bySource=${JSON.stringify(bySource)} byConfidence=${JSON.stringify(byConfidence)}`
+  );
+  return rangesByTournamentId;
+}
+
+function main() {
+  writeResolvedRanges();
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main();
+}
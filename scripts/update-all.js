@@ -54,6 +54,7 @@ function runWithRetry(cmd, args, { attempts = 5, baseDelayMs = 1500, extraEnv =
 function runScript(scriptPath, opts = {}) {
   const {
     retry = false,
+    optional = false,
     attempts = 5,
     baseDelayMs = 1500,
     args = [],
@@ -66,7 +67,11 @@ function runScript(scriptPath, opts = {}) {
   }
 
   console.log(`Running: ${scriptPath}${args.length ? " " + args.join(" ") : ""}`);
-  if (retry) {
+  if (optional) {
+    // A failure is logged and the run goes on; the step's previous output stays.
+    const r = spawnSync("node", [scriptPath, ...args], childOpts(extraEnv));
+    if (r.status !== 0) console.log(`Optional step failed (exit ${r.status ?? r.signal}), keeping its previous output: ${scriptPath}`);
+  } else if (retry) {
     runWithRetry("node", [scriptPath, ...args], { attempts, baseDelayMs, extraEnv });
   } else {
     run("node", [scriptPath, ...args], extraEnv);
@@ -102,6 +107,7 @@ function main() {
 
   console.log("update-all RPC_URL exists:", !!process.env.RPC_URL);
   console.log("update-all MATCH_TOPIC0:", matchTopic0);
+  console.log("update-all MATCHES_SOURCE:", process.env.MATCHES_SOURCE || "logs");
 
   runScript("scripts/pull-wins-tier-from-logs-post22m-lookback.js", {
     retry: true,
@@ -114,6 +120,11 @@ function main() {
     "scripts/resolve-profiles-metis.js",
   ]);
 
+  // Wallet links (overrides.json + shared profile names) for the per-player views.
+  runScript("scripts/identities.js");
+
+  // Records the "chain-config" tier source and re-resolves tournamentRanges.json
+  // through scripts/tier-resolver.js (manual overrides and other sources included).
   runFirstExisting([
     "scripts/build-tournamentRanges-subgraph.js",
     "scripts/build-tournamentRanges.js",
@@ -124,20 +135,43 @@ function main() {
     "scripts/apply-ranges-to-leaderboard.js",
   ]);
 
+  // Weekly JEWEL ledger from the wins with their final tiers.
+  runScript("scripts/build-payouts.js");
+
+  // Sent vs owed per wallet-week; skips itself unless PAYOUT_PAYER_WALLET and JEWEL_TOKEN are set.
+  // Optional: an RPC outage here keeps the last payout-reconciliation.json instead of failing the update.
+  runScript("scripts/reconcile-payouts.js", { optional: true });
+
   // Refresh the inputs that the points leaderboard actually reads.
-  runFirstExisting([
-    "scripts/extract-matches-from-topic0.js",
-  ], {
-    args: [matchTopic0],
-    retry: true,
-    attempts: 3,
-    baseDelayMs: 1500,
-  });
+  // MATCHES_SOURCE=subgraph reads the indexed Match entities instead of scanning logs.
+  if (process.env.MATCHES_SOURCE === "subgraph") {
+    runScript("scripts/pull-matches-from-subgraph.js", {
+      retry: true,
+      attempts: 3,
+      baseDelayMs: 1500,
+    });
+  } else {
+    runFirstExisting([
+      "scripts/extract-matches-from-topic0.js",
+    ], {
+      args: [matchTopic0],
+      retry: true,
+      attempts: 3,
+      baseDelayMs: 1500,
+    });
+  }
 
   runFirstExisting([
     "scripts/build-tournament-results.js",
   ]);
 
+  runFirstExisting([
+    "scripts/build-ratings.js",
+  ]);
+
+  // Rivals per wallet and the full head-to-head index (rounds read from tournament-brackets.json).
+  runScript("scripts/build-rivalries.js");
+
   runFirstExisting([
     "scripts/build-points-leaderboard.js",
     "scripts/build-monthly-points-leaderboard.js",
@@ -149,16 +183,26 @@ function main() {
     "scripts/update-points.js",
   ]);
 
+  // Integrity gate: a failed validation exits here, before anything is copied
+  // to the repo root (and before the workflow commits).
   runFirstExisting([
     "scripts/validate-public-data.js",
     "scripts/validate-data.js",
   ]);
 
+  // Only validated ranks go into the movement history.
+  runScript("scripts/rank-history.js");
+
   copyPublicToRootIfExists("leaderboard.json");
   copyPublicToRootIfExists("profiles.json");
   copyPublicToRootIfExists("tournamentRanges.json");
   copyPublicToRootIfExists("matches.json");
   copyPublicToRootIfExists("tournament-results.json");
+  copyPublicToRootIfExists("tournament-brackets.json");
+  copyPublicToRootIfExists("feed.xml");
+  copyPublicToRootIfExists("feed.json");
+  copyPublicToRootIfExists("ratings.json");
+  copyPublicToRootIfExists("ratings-history.json");
 
   [
     "pointsLeaderboard.json",
@@ -171,6 +215,14 @@ function main() {
     "points.json",
   ].forEach(copyPublicToRootIfExists);
 
+  // Webhook messages for what changed since the previous run (best effort, never fails the run).
+  runScript("scripts/notify.js");
+
+  // Completion marker for scripts/api-server.js (kept out of public/ so it never gets committed).
+  const marker = path.join(ROOT, ".cache", "update-all.json");
+  fs.mkdirSync(path.dirname(marker), { recursive: true });
+  fs.writeFileSync(marker, JSON.stringify({ completedAtUtc: new Date().toISOString() }));
+
   console.log("update-all complete.");
 }
 
@@ -1,5 +1,21 @@
 // scripts/validate-public-data.js
+//
+// Integrity gate for everything update-all publishes from public/.
+//
+// Checks each artifact's shape, cross-file invariants (placements and points
+// agree with matches.json, one match per bracket slot, ...) and row counts
+// against the last published snapshot (public/validation-snapshot.json).
+//
+// Exits 1 on any ISSUE. update-all stops on a failed step, so nothing is copied
+// to the repo root and the workflow's commit/publish steps are skipped. The
+// snapshot is only rewritten after a clean run.
+//
+// Env:
+//   VALIDATE_MAX_DROP_PCT   allowed row-count drop vs the snapshot (default 10)
+//   VALIDATE_ALLOW_DROP=1   report drops as warnings instead (intentional resets)
 import fs from "node:fs";
+import { loadOverrides } from "./overrides.js";
+import { loadRewardsSchedule, publicSchedule, rewardsAt } from "./rewards-schedule.js";
 
 function readJson(p) {
   return JSON.parse(fs.readFileSync(p, "utf8"));
@@ -9,14 +25,38 @@ function isObject(v) {
   return v && typeof v === "object" && !Array.isArray(v);
 }
 
+function isWallet(s) {
+  return typeof s === "string" && /^0x[a-fA-F0-9]{40}$/.test(s);
+}
+
 function pct(a, b) {
   if (!b) return "0.0";
   return ((a / b) * 100).toFixed(1);
 }
 
+function sample(list, max = 10) {
+  return `${list.slice(0, max).join(", ")}${list.length > max ? ", ..." : ""}`;
+}
+
 const leaderboardPath = "public/leaderboard.json";
 const profilesPath = "public/profiles.json";
 const rangesPath = "public/tournamentRanges.json";
+const matchesPath = "public/matches.json";
+const resultsPath = "public/tournament-results.json";
+const bracketsPath = "public/tournament-brackets.json";
+const pointsPath = "public/points-leaderboard.json";
+const ratingsPath = "public/ratings.json";
+const ratingsHistoryPath = "public/ratings-history.json";
+const rivalriesPath = "public/rivalries.all.json";
+const votesPath = "public/votes.json";
+const identitiesPath = "public/identities.json";
+const payoutsPath = "public/payouts.json";
+const reconciliationPath = "public/payout-reconciliation.json";
+const leaguesManifestPath = "public/leagues/index.json";
+const snapshotPath = "public/validation-snapshot.json";
+
+const MAX_DROP_PCT = Number(process.env.VALIDATE_MAX_DROP_PCT || 10);
+const ALLOW_DROP = process.env.VALIDATE_ALLOW_DROP === "1";
 
 console.log("======================================");
 console.log("DFK Leaderboard Data Validation Report");
@@ -25,30 +65,43 @@ console.log("======================================");
 const issues = [];
 const warnings = [];
 const info = [];
+const counts = {};
 
-// ---- Required: leaderboard.json ----
-let leaderboard;
-try {
-  leaderboard = readJson(leaderboardPath);
-} catch (e) {
-  issues.push(`Missing/invalid JSON: ${leaderboardPath}`);
+// Missing required files are issues; optional ones (not built yet) are warnings.
+function load(p, { required = false } = {}) {
+  if (!fs.existsSync(p)) {
+    (required ? issues : warnings).push(`Missing: ${p}`);
+    return null;
+  }
+  try {
+    return readJson(p);
+  } catch (e) {
+    issues.push(`Invalid JSON: ${p} (${e.message})`);
+    return null;
+  }
 }
 
+// ---- Required: leaderboard.json ----
+const leaderboard = load(leaderboardPath, { required: true });
+
 if (leaderboard) {
   if (!isObject(leaderboard) || !Array.isArray(leaderboard.wins)) {
     issues.push(`leaderboard.json format invalid (expected object with wins[])`);
   } else {
+    counts.leaderboardWins = leaderboard.wins.length;
     info.push(`leaderboard.json format: object with wins[] (${leaderboard.wins.length} wins)`);
+
+    const badWallet = leaderboard.wins.filter((w) => !isWallet(w.wallet)).length;
+    if (badWallet) issues.push(`leaderboard.json: ${badWallet} win(s) without a valid wallet`);
+
+    const ids = leaderboard.wins.map((w) => w.id).filter(Boolean);
+    const dupIds = ids.length - new Set(ids).size;
+    if (dupIds) issues.push(`leaderboard.json: ${dupIds} duplicate win id(s)`);
   }
 }
 
 // ---- Required: profiles.json ----
-let profiles;
-try {
-  profiles = readJson(profilesPath);
-} catch (e) {
-  issues.push(`Missing/invalid JSON: ${profilesPath}`);
-}
+const profiles = load(profilesPath, { required: true });
 
 let namesByAddress = {};
 if (profiles) {
@@ -56,25 +109,359 @@ if (profiles) {
     issues.push(`profiles.json format invalid (expected { namesByAddress: { [wallet]: string } })`);
   } else {
     namesByAddress = profiles.namesByAddress;
-    info.push(`profiles.json format: wrapper namesByAddress (wallet->string) (${Object.keys(namesByAddress).length} entries)`);
+    counts.profiles = Object.keys(namesByAddress).length;
+    info.push(`profiles.json format: wrapper namesByAddress (wallet->string) (${counts.profiles} entries)`);
   }
 }
 
 // ---- Optional / Best-effort: tournamentRanges.json ----
-let ranges = null;
 let rangesByTournamentId = {};
-try {
-  ranges = readJson(rangesPath);
+const ranges = load(rangesPath);
+if (ranges) {
   if (isObject(ranges) && isObject(ranges.rangesByTournamentId)) {
     rangesByTournamentId = ranges.rangesByTournamentId;
+    counts.tournamentRanges = Object.keys(rangesByTournamentId).length;
+    info.push(`tournamentRanges.json format: wrapper rangesByTournamentId (${counts.tournamentRanges} entries)`);
+
+    // Written by scripts/tier-resolver.js: every entry carries its provenance.
+    if (ranges.source === "tier-resolver") {
+      const unsourced = Object.entries(rangesByTournamentId).filter(([, r]) => !r?.source || !r?.confidence);
+      if (unsourced.length) {
+        issues.push(`tournamentRanges.json: ${unsourced.length} entries without source/confidence (e.g. ${unsourced[0][0]})`);
+      }
+      const conflicted = ranges.summary?.conflicted || 0;
+      if (conflicted) info.push(`tournamentRanges.json: ${conflicted} tier(s) disputed by a lower-priority source`);
+    }
+  } else {
+    warnings.push(`tournamentRanges.json present but format unexpected (expected { rangesByTournamentId: {...} })`);
+  }
+}
+
+// ---- matches.json ----
+// tournamentId -> { players:Set, codes:Map(code -> count), txs:Set }
+const matchIndex = new Map();
+const matchWallets = new Set();
+
+const matchesDoc = load(matchesPath, { required: true });
+if (matchesDoc) {
+  if (!isObject(matchesDoc) || !Array.isArray(matchesDoc.matches)) {
+    issues.push(`matches.json format invalid (expected object with matches[])`);
+  } else {
+    const rows = matchesDoc.matches;
+    counts.matches = rows.length;
+
+    const keys = new Set();
+    let dup = 0;
+    let badPlayers = 0;
+    let badWinner = 0;
+    let noWinner = 0;
+    let badCode = 0;
+
+    for (const m of rows) {
+      const key = `${String(m.txHash || "").toLowerCase()}:${m.logIndex}`;
+      if (keys.has(key)) dup++;
+      keys.add(key);
+
+      const a = String(m.playerA || "").toLowerCase();
+      const b = String(m.playerB || "").toLowerCase();
+      const w = m.winner == null ? null : String(m.winner).toLowerCase();
+      if (!isWallet(a) || !isWallet(b) || a === b) badPlayers++;
+      if (w == null) noWinner++;
+      else if (w !== a && w !== b) badWinner++;
+      if (!Number.isInteger(m.resultCode) || m.resultCode < 1) badCode++;
+
+      const tid = String(m.matchId ?? "");
+      if (!tid) continue;
+      let t = matchIndex.get(tid);
+      if (!t) {
+        t = { players: new Set(), codes: new Map(), txs: new Set() };
+        matchIndex.set(tid, t);
+      }
+      t.players.add(a);
+      t.players.add(b);
+      t.codes.set(m.resultCode, (t.codes.get(m.resultCode) || 0) + 1);
+      if (m.txHash) t.txs.add(String(m.txHash).toLowerCase());
+      matchWallets.add(a);
+      matchWallets.add(b);
+    }
+
+    if (dup) issues.push(`matches.json: ${dup} duplicate txHash:logIndex row(s)`);
+    if (badPlayers) issues.push(`matches.json: ${badPlayers} row(s) with missing/identical players`);
+    if (badWinner) issues.push(`matches.json: ${badWinner} row(s) whose winner is neither player`);
+    if (badCode) issues.push(`matches.json: ${badCode} row(s) with a non-positive or non-integer resultCode`);
+    if (noWinner) warnings.push(`matches.json: ${noWinner} row(s) without a decoded winner`);
+
+    // resultCode is the bracket slot; the same slot twice means a second final/semi/etc.
+    const doubled = [];
+    for (const [tid, t] of matchIndex.entries()) {
+      const maxCode = Math.max(...t.codes.keys());
+      for (const [code, n] of t.codes.entries()) {
+        if (n > 1) doubled.push(`${tid}:${code}${code === maxCode ? " (final)" : ""}`);
+      }
+    }
+    if (doubled.length) issues.push(`matches.json: ${doubled.length} bracket slot(s) played twice (tid:slot ${sample(doubled)})`);
+
+    info.push(`matches.json: ${rows.length} matches across ${matchIndex.size} tournaments, ${matchWallets.size} wallets`);
+  }
+}
+
+// ---- tournament-results.json ----
+const resultsById = new Map();
+const results = load(resultsPath, { required: true });
+if (results) {
+  if (!isObject(results) || !Array.isArray(results.tournaments)) {
+    issues.push(`tournament-results.json format invalid (expected object with tournaments[])`);
+  } else {
+    counts.tournaments = results.tournaments.length;
+    const dupIds = [];
+    const notInMatches = [];
+    const badPlacement = [];
+    const finalNotInMatches = [];
+    const badLadder = [];
+
+    for (const t of results.tournaments) {
+      const tid = String(t.tournamentId);
+      if (resultsById.has(tid)) dupIds.push(tid);
+      resultsById.set(tid, t);
+
+      const m = matchIndex.get(tid);
+      if (!m) {
+        notInMatches.push(tid);
+        continue;
+      }
+
+      const p = t.placements || {};
+      const placed = [p.first, p.second, ...(Array.isArray(p.thirds) ? p.thirds : []), p.fourth].filter(Boolean);
+      if (placed.some((w) => !m.players.has(String(w).toLowerCase()))) badPlacement.push(tid);
+      if (new Set(placed).size !== placed.length) badPlacement.push(tid);
+      if (p.fourth && p.thirds?.length !== 1) badPlacement.push(tid);
+
+      if (t.final?.txHash && !m.txs.has(String(t.final.txHash).toLowerCase())) finalNotInMatches.push(tid);
+
+      // The ladder lists every entrant once, and the podium sits in its bands.
+      const ladder = (Array.isArray(t.ladder) ? t.ladder : []).flatMap((g) => (g.wallets || []).map((wallet) => ({ wallet, band: g.band })));
+      const bandOf = new Map(ladder.map((e) => [e.wallet, e.band]));
+      if (bandOf.size !== m.players.size || ladder.length !== m.players.size || ladder.some((e) => !m.players.has(e.wallet))) badLadder.push(tid);
+      else if ((p.first && bandOf.get(p.first) !== "1") || (p.second && bandOf.get(p.second) !== "2")) badLadder.push(tid);
+    }
+
+    if (dupIds.length) issues.push(`tournament-results.json: duplicate tournamentId(s) ${sample(dupIds)}`);
+    if (notInMatches.length) issues.push(`tournament-results.json: ${notInMatches.length} tournament(s) with no matches (${sample(notInMatches)})`);
+    if (badPlacement.length) issues.push(`tournament-results.json: placements not backed by matches in ${sample([...new Set(badPlacement)])}`);
+    if (badLadder.length) issues.push(`tournament-results.json: ladder does not match the entrants or podium in ${sample([...new Set(badLadder)])}`);
+    if (finalNotInMatches.length) issues.push(`tournament-results.json: final tx missing from matches.json in ${sample(finalNotInMatches)}`);
+
+    const incomplete = results.tournaments.filter((t) => t.status !== "complete").length;
+    info.push(`tournament-results.json: ${counts.tournaments} tournaments (${incomplete} incomplete)`);
+  }
+}
+
+// ---- tournament-brackets.json ----
+const brackets = load(bracketsPath);
+if (brackets) {
+  if (!isObject(brackets) || !isObject(brackets.brackets)) {
+    issues.push(`tournament-brackets.json format invalid (expected { brackets: { [tournamentId]: {...} } })`);
+  } else {
+    const ids = Object.keys(brackets.brackets);
+    counts.brackets = ids.length;
+    const missing = ids.filter((tid) => !matchIndex.has(tid));
+    if (missing.length) issues.push(`tournament-brackets.json: ${missing.length} bracket(s) with no matches (${sample(missing)})`);
+    const withIssues = ids.filter((tid) => brackets.brackets[tid]?.issues?.length);
+    if (withIssues.length) warnings.push(`tournament-brackets.json: ${withIssues.length} bracket(s) report issues (${sample(withIssues)})`);
+  }
+}
+
+// ---- points-leaderboard.json ----
+const points = load(pointsPath, { required: true });
+if (points) {
+  if (!isObject(points) || !Array.isArray(points.players)) {
+    issues.push(`points-leaderboard.json format invalid (expected object with players[])`);
+  } else {
+    counts.pointsPlayers = points.players.length;
+    const bad = [];
+    const unbacked = [];
+
+    for (const p of points.players) {
+      const wallet = String(p.wallet || "").toLowerCase();
+      if (!isWallet(wallet) || !Number.isFinite(Number(p.points)) || Number(p.points) < 0) {
+        bad.push(p.wallet);
+        continue;
+      }
+
+      // Every podium the points build credits must be in tournament-results and matches.
+      const buckets = [
+        ["firstIds", (t) => t.placements?.first === wallet],
+        ["secondIds", (t) => t.placements?.second === wallet],
+        ["thirdIds", (t) => (t.placements?.thirds || []).includes(wallet)],
+      ];
+      for (const [field, holds] of buckets) {
+        for (const id of Array.isArray(p[field]) ? p[field] : []) {
+          const tid = String(id);
+          const t = resultsById.get(tid);
+          if (!t || !holds(t) || !matchIndex.get(tid)?.players.has(wallet)) unbacked.push(`${wallet.slice(0, 10)}…@${tid}`);
+        }
+      }
+    }
+
+    if (bad.length) issues.push(`points-leaderboard.json: ${bad.length} player row(s) with invalid wallet/points`);
+    if (unbacked.length) issues.push(`points-leaderboard.json: ${unbacked.length} placement(s) not backed by results/matches (${sample(unbacked)})`);
+    info.push(`points-leaderboard.json: ${counts.pointsPlayers} players (${points.summary?.leagueKey ?? "unknown league"})`);
+  }
+}
+
+// ---- ratings.json ----
+const ratings = load(ratingsPath);
+if (ratings) {
+  if (!isObject(ratings) || !Array.isArray(ratings.players)) {
+    issues.push(`ratings.json format invalid (expected object with players[])`);
+  } else {
+    counts.ratingsPlayers = ratings.players.length;
+    const bad = ratings.players.filter((p) => !isWallet(p.wallet) || !Number.isFinite(p.rating) || !(p.rd > 0)).length;
+    if (bad) issues.push(`ratings.json: ${bad} player row(s) with invalid wallet/rating/rd`);
+    const unknown = ratings.players.filter((p) => !matchWallets.has(String(p.wallet).toLowerCase())).length;
+    if (unknown) issues.push(`ratings.json: ${unknown} rated wallet(s) not present in matches.json`);
+
+    const history = load(ratingsHistoryPath);
+    if (history) {
+      const noHistory = ratings.players.filter((p) => !Array.isArray(history.players?.[p.wallet])).length;
+      if (noHistory) issues.push(`ratings-history.json: no history for ${noHistory} rated wallet(s)`);
+    }
+  }
+}
+
+// ---- rivalries.all.json (built separately by build-rivalries.js) ----
+const rivalries = load(rivalriesPath);
+if (rivalries) {
+  if (!isObject(rivalries) || !Array.isArray(rivalries.players)) {
+    issues.push(`rivalries.all.json format invalid (expected object with players[])`);
+  } else {
+    counts.rivalriesPlayers = rivalries.players.length;
+    const bad = rivalries.players.filter(
+      (p) => !isWallet(p.wallet) || Number(p.wins) + Number(p.losses) !== Number(p.totalMatches)
+    ).length;
+    if (bad) issues.push(`rivalries.all.json: ${bad} player row(s) with invalid wallet or wins+losses != totalMatches`);
+    const stale = rivalries.players.filter((p) => !matchWallets.has(String(p.wallet).toLowerCase())).length;
+    if (stale) warnings.push(`rivalries.all.json: ${stale} wallet(s) not in matches.json (rebuild with scripts/build-rivalries.js)`);
+  }
+}
+
+// ---- identities.json: each linked wallet belongs to exactly one identity ----
+const identities = load(identitiesPath);
+if (identities) {
+  if (!Array.isArray(identities.identities)) {
+    issues.push(`identities.json format invalid (expected object with identities[])`);
+  } else {
+    const seen = new Map();
+    const doubled = [];
+    let badWallets = 0;
+    for (const i of identities.identities) {
+      for (const w of Array.isArray(i.wallets) ? i.wallets : []) {
+        if (!isWallet(w)) badWallets++;
+        else if (seen.has(w)) doubled.push(w);
+        else seen.set(w, i.id);
+      }
+    }
+    if (badWallets) issues.push(`identities.json: ${badWallets} invalid wallet(s)`);
+    if (doubled.length) issues.push(`identities.json: wallet(s) linked to more than one identity (${sample(doubled)})`);
+    info.push(`identities.json: ${identities.identities.length} identities over ${seen.size} wallets`);
+  }
+}
+
+// ---- payouts.json: every win lands in exactly one wallet-week row ----
+const payouts = load(payoutsPath);
+if (payouts) {
+  if (!Array.isArray(payouts.weeks)) {
+    issues.push(`payouts.json format invalid (expected object with weeks[])`);
+  } else {
+    const rows = payouts.weeks.flatMap((w) => (Array.isArray(w.payouts) ? w.payouts : []));
+    counts.payoutRows = rows.length;
+    const badTotals = rows.filter((r) => r.totalJewel !== r.l10Jewel + r.l20Jewel).length;
+    if (badTotals) issues.push(`payouts.json: ${badTotals} row(s) where totalJewel != l10Jewel + l20Jewel`);
+
+    const ledgerWins = rows.reduce(
+      (s, r) => s + r.l10TournamentIds.length + r.l20TournamentIds.length + r.unresolvedTournamentIds.length,
+      0
+    );
+    if (Array.isArray(leaderboard?.wins) && ledgerWins !== leaderboard.wins.length) {
+      issues.push(`payouts.json: ledger covers ${ledgerWins} wins, leaderboard.json has ${leaderboard.wins.length} (rebuild with scripts/build-payouts.js)`);
+    }
+    info.push(`payouts.json: ${payouts.weeks.length} weeks, ${rows.length} wallet-weeks, ${payouts.totals?.totalJewel ?? "?"} JEWEL`);
+  }
+}
+
+// ---- payout-reconciliation.json (only built when a payer wallet is configured) ----
+const reconciliation = fs.existsSync(reconciliationPath) ? load(reconciliationPath) : null;
+if (reconciliation) {
+  if (!Array.isArray(reconciliation.weeks)) {
+    issues.push(`payout-reconciliation.json format invalid (expected object with weeks[])`);
+  } else {
+    const c = reconciliation.summary?.counts || {};
     info.push(
-      `tournamentRanges.json format: wrapper rangesByTournamentId (${Object.keys(rangesByTournamentId).length} entries)`
+      `payout-reconciliation.json: ${c.paid ?? 0} paid, ${c.underpaid ?? 0} underpaid, ${c.overpaid ?? 0} overpaid, ${c.missed ?? 0} missed, ${c.pending ?? 0} pending`
     );
+    if (payouts?.updatedAtUtc && reconciliation.payoutsUpdatedAtUtc !== payouts.updatedAtUtc) {
+      warnings.push(`payout-reconciliation.json was built from an older payouts.json (rerun scripts/reconcile-payouts.js)`);
+    }
+  }
+}
+
+// ---- votes.json (built separately by the vote scripts) ----
+const votes = load(votesPath);
+if (votes) {
+  if (!Array.isArray(votes)) {
+    issues.push(`votes.json format invalid (expected an array of vote rows)`);
   } else {
-    warnings.push(`tournamentRanges.json present but format unexpected (expected { rangesByTournamentId: {...} })`);
+    counts.votes = votes.length;
+    const bad = votes.filter(
+      (v) => !isWallet(v.voter) || v.tournamentId == null || !/^\d+$/.test(String(v.votes ?? ""))
+    ).length;
+    if (bad) issues.push(`votes.json: ${bad} row(s) with invalid voter, tournamentId or votes`);
+  }
+}
+
+// ---- public/leagues/index.json: every archived season file must exist ----
+const leagues = load(leaguesManifestPath);
+if (leagues) {
+  const seasons = Array.isArray(leagues.seasons) ? leagues.seasons : [];
+  const missing = [];
+  for (const s of seasons) {
+    for (const r of Array.isArray(s.rulesets) && s.rulesets.length ? s.rulesets : [{ file: s.file }]) {
+      if (r.file && !fs.existsSync(r.file)) missing.push(r.file);
+    }
+  }
+  if (missing.length) issues.push(`leagues/index.json: archive file(s) missing: ${sample(missing)}`);
+  counts.leagueSeasons = seasons.length;
+}
+
+// ---- overrides.json: must parse, and every applied correction is reported ----
+try {
+  const o = loadOverrides();
+  // Hand-edited, so not in `counts`: removing a correction is not a data drop.
+  const entries = o.tiers.size + o.placements.size + o.excludedTournaments.size + o.disqualifications.size + o.aliases.size + o.identities.size;
+  const applied = [
+    ["tournamentRanges.json", ranges?.summary?.overridesApplied],
+    ["leaderboard.json", leaderboard?.overridesApplied],
+    ["tournament-results.json", results?.summary?.overridesApplied],
+    ["ratings.json", ratings?.summary?.overridesApplied],
+    ["points-leaderboard.json", points?.summary?.overridesApplied],
+    ["profiles.json", profiles?.summary?.overridesApplied],
+  ].filter(([, list]) => Array.isArray(list) && list.length);
+  info.push(`overrides.json: ${entries} entries${applied.length ? ` (applied: ${applied.map(([f, l]) => `${f} ${l.length}`).join(", ")})` : ""}`);
+} catch (e) {
+  issues.push(e.message);
+}
+
+// ---- rewards.json: the schedule every payout figure is priced with ----
+try {
+  const schedule = loadRewardsSchedule();
+  const current = rewardsAt(schedule, Date.now());
+  info.push(`rewards.json: ${schedule.length} schedule entr${schedule.length === 1 ? "y" : "ies"}, current from ${current.effectiveFrom}`);
+  const published = JSON.stringify(leaderboard?.rewards?.schedule ?? null);
+  if (leaderboard?.rewards && published !== JSON.stringify(publicSchedule(schedule))) {
+    warnings.push(`leaderboard.json was built with a different rewards schedule than rewards.json (rerun the wins step)`);
   }
 } catch (e) {
-  warnings.push(`tournamentRanges.json missing/invalid (continuing).`);
+  issues.push(e.message);
 }
 
 // ---- Cross-checks ----
@@ -102,6 +489,27 @@ if (leaderboard && Array.isArray(leaderboard.wins)) {
   }
 }
 
+// ---- Row counts vs the last published snapshot ----
+const snapshot = fs.existsSync(snapshotPath) ? load(snapshotPath) : null;
+const pointsLeagueKey = points?.summary?.leagueKey ?? null;
+if (snapshot && isObject(snapshot.counts)) {
+  for (const [name, now] of Object.entries(counts)) {
+    const before = Number(snapshot.counts[name]);
+    if (!Number.isFinite(before) || before <= 0 || now >= before) continue;
+    // The points table legitimately empties when a new league starts.
+    if (name === "pointsPlayers" && snapshot.pointsLeagueKey !== pointsLeagueKey) continue;
+
+    const dropPct = ((before - now) / before) * 100;
+    if (dropPct > MAX_DROP_PCT) {
+      (ALLOW_DROP ? warnings : issues).push(
+        `${name} dropped ${dropPct.toFixed(1)}% (${before} -> ${now}) since the last published snapshot (${snapshot.updatedAtUtc})`
+      );
+    }
+  }
+} else {
+  info.push(`No previous snapshot at ${snapshotPath}; row-count drop check skipped.`);
+}
+
 // ---- Print report ----
 console.log("ℹ️ INFO:");
 for (const s of info) console.log(`- ${s}`);
@@ -114,7 +522,12 @@ if (warnings.length) {
 if (issues.length) {
   console.log("❌ ISSUES (must fix):");
   for (const s of issues) console.log(`- ${s}`);
+  console.log("Publish blocked: fix the data or rerun with VALIDATE_ALLOW_DROP=1 for an intentional shrink.");
   process.exitCode = 1;
 } else {
-  console.log("✅ No blocking issues.");
-}
\ No newline at end of file
+  fs.writeFileSync(
+    snapshotPath,
+    JSON.stringify({ updatedAtUtc: new Date().toISOString(), pointsLeagueKey, counts }, null, 2)
+  );
+  console.log(`✅ No blocking issues. Snapshot written to ${snapshotPath}.`);
+}
@@ -1,6 +1,44 @@
-import { BigInt } from "@graphprotocol/graph-ts";
-import { PlayerWonTournament } from "../generated/TournamentDiamond/TournamentDiamond";
-import { Player, TournamentWin } from "../generated/schema";
+import { Address, BigInt } from "@graphprotocol/graph-ts";
+import { MatchCompleted, PlayerWonTournament } from "../generated/TournamentDiamond/TournamentDiamond";
+import { Match, Player, Tournament, TournamentWin } from "../generated/schema";
+
+// resultCode is the match's bracket slot, numbered leaves-first: with capacity
+// C the final is slot C-1. C is worked out as bracketCapacity does in
+// scripts/build-tournament-results.js: the smallest power of two that is at
+// least the highest slot + 1 and at least the entrant count. A bronze match
+// (both players had already lost) has no slot and is left out.
+//
+// C can only grow, so it is re-evaluated on every match and a final recorded
+// from partial data is dropped once C moves past its slot. Read mid-way, a
+// tournament can still look finished (its first match alone is a 2-player
+// final); its next match corrects that, as in the scripts.
+const MAX_SLOT = 1 << 20;
+
+function bracketCapacity(maxSlot: i32, entrants: i32): i32 {
+  let capacity = 2;
+  while (capacity - 1 < maxSlot || capacity < entrants) capacity *= 2;
+  return capacity;
+}
+
+function clearCompletion(tournament: Tournament): void {
+  tournament.finalMatch = null;
+  tournament.completedAtBlock = null;
+  tournament.completedAtTimestamp = null;
+  tournament.winner = null;
+  tournament.runnerUp = null;
+}
+
+function getOrCreatePlayer(playerId: string): Player {
+  let player = Player.load(playerId);
+
+  if (player == null) {
+    player = new Player(playerId);
+    player.tournamentWins = BigInt.zero();
+    player.save();
+  }
+
+  return player;
+}
 
 export function handlePlayerWonTournament(event: PlayerWonTournament): void {
   // Winner wallet
@@ -27,4 +65,98 @@ export function handlePlayerWonTournament(event: PlayerWonTournament): void {
   win.blockNumber = event.block.number;
 
   win.save();
-}
\ No newline at end of file
+}
+
+export function handleMatchCompleted(event: MatchCompleted): void {
+  const playerAId = event.params.playerA.toHexString().toLowerCase();
+  const playerBId = event.params.playerB.toHexString().toLowerCase();
+  getOrCreatePlayer(playerAId);
+  getOrCreatePlayer(playerBId);
+
+  // Same rule as extract-matches-from-topic0.js: only trust data word 1 when
+  // it is one of the two players in the match.
+  let winnerId: string | null = null;
+  if (event.params.winner != Address.zero()) {
+    const w = event.params.winner.toHexString().toLowerCase();
+    if (w == playerAId || w == playerBId) winnerId = w;
+  }
+
+  const tournamentKey = event.params.tournamentId.toString();
+  let tournament = Tournament.load(tournamentKey);
+
+  if (tournament == null) {
+    tournament = new Tournament(tournamentKey);
+    tournament.tournamentId = event.params.tournamentId;
+    tournament.matchCount = 0;
+    tournament.firstMatchBlock = event.block.number;
+    tournament.entrants = [];
+    tournament.losers = [];
+    tournament.maxSlot = 0;
+  }
+
+  const matchId = event.transaction.hash.toHexString() + "-" + event.logIndex.toString();
+  const match = new Match(matchId);
+
+  match.tournament = tournamentKey;
+  match.tournamentId = event.params.tournamentId;
+  match.playerA = playerAId;
+  match.playerB = playerBId;
+  match.resultCode = event.params.resultCode;
+  match.winner = winnerId;
+  match.blockNumber = event.block.number;
+  match.timestamp = event.block.timestamp;
+  match.txHash = event.transaction.hash;
+  match.logIndex = event.logIndex;
+
+  match.save();
+
+  tournament.matchCount = tournament.matchCount + 1;
+  tournament.lastMatchBlock = event.block.number;
+  tournament.lastMatchTimestamp = event.block.timestamp;
+
+  // Entity arrays come back as copies: update them locally, then assign.
+  const entrants = tournament.entrants;
+  const losers = tournament.losers;
+  const bronze = losers.includes(playerAId) && losers.includes(playerBId);
+  if (!entrants.includes(playerAId)) entrants.push(playerAId);
+  if (!entrants.includes(playerBId)) entrants.push(playerBId);
+  if (winnerId != null) {
+    const loserId = winnerId == playerAId ? playerBId : playerAId;
+    if (!losers.includes(loserId)) losers.push(loserId);
+  }
+  tournament.entrants = entrants;
+  tournament.losers = losers;
+
+  // Slots past MAX_SLOT are not bracket slots; they count as no slot.
+  const code = event.params.resultCode;
+  const slot = code.ge(BigInt.fromI32(1)) && code.lt(BigInt.fromI32(MAX_SLOT)) ? code.toI32() : 0;
+  if (!bronze && slot > tournament.maxSlot) tournament.maxSlot = slot;
+
+  const capacity = bracketCapacity(tournament.maxSlot, entrants.length);
+  tournament.capacity = capacity;
+
+  const finalMatchId = tournament.finalMatch;
+  if (finalMatchId != null) {
+    const recorded = Match.load(finalMatchId!);
+    if (recorded == null) {
+      clearCompletion(tournament);
+    } else if (!recorded.resultCode.equals(BigInt.fromI32(capacity - 1))) {
+      clearCompletion(tournament);
+    }
+  }
+
+  // A later match in the final slot replaces the earlier one, as in the scripts.
+  if (!bronze && slot == capacity - 1) {
+    if (winnerId != null) {
+      tournament.finalMatch = matchId;
+      tournament.completedAtBlock = event.block.number;
+      tournament.completedAtTimestamp = event.block.timestamp;
+      tournament.winner = winnerId;
+      tournament.runnerUp = winnerId == playerAId ? playerBId : playerAId;
+    } else {
+      clearCompletion(tournament);
+    }
+  }
+
+  tournament.save();
+}